@@ -69,7 +69,9 @@ if (!PRODUCTION) {
             console.log('@', path)
             break
 
+          // The level manifest carries the tile properties of the tileset too
           case '.tmx':
+          case '.tsx':
             await tiled(PRODUCTION, path)
             console.log('@', path)
             break
@@ -0,0 +1,55 @@
+import { SpriteSheet } from 'kontra'
+import { getTransparentTileset } from './utils.js'
+import { TILE_SIZE, TILE_BLANK, TILE_BURST, TILE_SLASH, TILE_GRAVE, GAME_SPEED } from './constants.js'
+
+// Frames are tileset ids played over one beat. Most characters have a single
+// pose in the tileset, so the animations mix it with the effect tiles. Tiles
+// animated in the tileset play their frames while idle and walking
+const ANIMATIONS = {
+  idle: (id, frames = [id]) => ({ frames }),
+  walk: (id, frames = [id]) => ({ frames }),
+  attack: id => ({ frames: [TILE_SLASH, id], loop: false }),
+  hurt: id => ({ frames: [TILE_BLANK, id, TILE_BLANK, id], loop: false }),
+  die: id => ({ frames: [TILE_BURST, TILE_GRAVE, TILE_GRAVE, TILE_BLANK], loop: false })
+}
+
+// Transparent tilesets and the animations built from them, by tileset and tile id
+const tilesets = new Map()
+const cache = new Map()
+
+// Animations of the character with given tile id and tileset animation frames,
+// sprites clone them when assigned
+export const getAnimations = (image, id, frames) => {
+  if (!tilesets.has(image)) {
+    tilesets.set(image, getTransparentTileset(image))
+  }
+
+  const key = `${image.src}:${id}`
+
+  if (!cache.has(key)) {
+    const animations = {}
+
+    for (const name in ANIMATIONS) {
+      const { frames: ids, loop = true } = ANIMATIONS[name](id, frames)
+
+      // Spritesheet frames start at 0 while tile ids start at 1
+      animations[name] = {
+        frames: ids.map(frame => frame - 1),
+        frameRate: ids.length * GAME_SPEED,
+        loop
+      }
+    }
+
+    cache.set(key, SpriteSheet({
+      image: tilesets.get(image),
+      frameWidth: TILE_SIZE,
+      frameHeight: TILE_SIZE,
+      animations
+    }).animations)
+  }
+
+  return cache.get(key)
+}
+
+// Seconds a one-shot animation takes to play through
+export const duration = ({ frames, frameRate }) => frames.length / frameRate
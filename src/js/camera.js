@@ -0,0 +1,43 @@
+import { VIEW_WIDTH, VIEW_HEIGHT, CAMERA_SPEED } from './constants.js'
+
+// Keeps the view centered on a sprite without showing anything past the map edges.
+// Maps smaller than the view are centered instead
+export default class Camera {
+  // Takes the map size in pixels
+  constructor (mapWidth, mapHeight) {
+    this.mapWidth = mapWidth
+    this.mapHeight = mapHeight
+    this.x = 0
+    this.y = 0
+  }
+
+  // Top left corner of the view centered on the sprite
+  target ({ x, y, width, height }) {
+    const clamp = (value, size, view) => size < view
+      ? (size - view) / 2
+      : Math.min(Math.max(value, 0), size - view)
+
+    return {
+      x: clamp(x + width / 2 - VIEW_WIDTH / 2, this.mapWidth, VIEW_WIDTH),
+      y: clamp(y + height / 2 - VIEW_HEIGHT / 2, this.mapHeight, VIEW_HEIGHT)
+    }
+  }
+
+  // Jumps straight to the sprite, used when a level is entered
+  snap (sprite) {
+    Object.assign(this, this.target(sprite))
+  }
+
+  follow (sprite, delta) {
+    const { x, y } = this.target(sprite)
+    const t = Math.min(delta * CAMERA_SPEED, 1)
+
+    this.x += (x - this.x) * t
+    this.y += (y - this.y) * t
+  }
+
+  // Translates the context so that map coordinates can be drawn as they are
+  apply (context) {
+    context.translate(-Math.round(this.x), -Math.round(this.y))
+  }
+}
@@ -1,21 +1,29 @@
 // Rendering
-export const SCALE = 5
+export const TILE_SIZE = 8
+export const VIEW_WIDTH = 16 * TILE_SIZE
+export const VIEW_HEIGHT = 16 * TILE_SIZE
 export const TRANSPARENT_PIXELS = [
   [67, 67, 79],
   [34, 35, 35]
 ]
 
-export const HEIGHT = innerHeight
-export const WIDTH = innerWidth
+// Tiles, the ones placed in maps are described by the tileset properties
+export const TILE_KEY = 81
+export const TILE_POTION = 120
+export const TILE_GOLD = 79
+export const TILE_SWORD = 63
 
-// Tiles
-export const TILE_GROUND = 16
-export const TILE_SPAWN = 5
-export const TILE_WALL_LEFT = 15
-export const TILE_WALL_RIGHT = 18
+export const TILE_HEART_EMPTY = 89
+export const TILE_HEART_FULL = 91
 
-// Physics
-export const ERROR_CORRECTION = 0.13333333333331593
+// The ground tile is fully transparent once the background colors are removed
+export const TILE_BLANK = 16
+export const TILE_BURST = 116
+export const TILE_SLASH = 118
+export const TILE_GRAVE = 108
+
+// Physics, moves take MOVE_DURATION seconds whatever the game speed
+export const MOVE_DURATION = .25
 
 export const DIRECTION_NONE = 0
 export const DIRECTION_LEFT = 1
@@ -23,27 +31,72 @@ export const DIRECTION_DOWN = 2
 export const DIRECTION_RIGHT = 3
 export const DIRECTION_UP = 4
 
-export const COLLISIONS = {
-    43: 0b0100,
-    45: 0b0100,
-    46: 0b0001,
-    59: 0b1000,
-    18: 0b0100,
-    55: 0b0100,
-    15: 0b0001,
-
-    2:  0b1010,
-    30: 0b1010,
-    31: 0b0101,
+// Scenes
+export const SCENE_TITLE = 0
+export const SCENE_CREDITS = 1
+export const SCENE_GAME = 2
+export const SCENE_PAUSE = 3
+export const SCENE_GAME_OVER = 4
+export const SCENE_VICTORY = 5
+export const SCENE_INVENTORY = 6
+export const SCENE_CONTROLS = 7
 
+// Input actions, movement actions match the directions
+export const ACTION_LEFT = DIRECTION_LEFT
+export const ACTION_DOWN = DIRECTION_DOWN
+export const ACTION_RIGHT = DIRECTION_RIGHT
+export const ACTION_UP = DIRECTION_UP
+export const ACTION_CONFIRM = 5
+export const ACTION_BACK = 6
+export const ACTION_INVENTORY = 7
+export const ACTION_WAIT = 8
+export const ACTION_MUTE = 9
+export const ACTION_RESTART = 10
 
-    57: 0b1011,
-    4:  0b1110,
-    32: 0b1110,
-    58: 0b1110,
-
-    28: 0b1111
-  }
+// Events
+export const EVENT_STEP = 'step'
+export const EVENT_BUMP = 'bump'
+export const EVENT_KEY = 'key'
+export const EVENT_DOOR = 'door'
+export const EVENT_CHEST = 'chest'
+export const EVENT_HIT = 'hit'
+export const EVENT_DIE = 'die'
+export const EVENT_STAIRS = 'stairs'
+export const EVENT_TRIGGER = 'trigger'
 
 // Game options
 export const GAME_SPEED = 2
+export const CAMERA_SPEED = 8
+export const BANNER_DURATION = 2
+export const GAMEPAD_DEADZONE = .5
+export const SWIPE_DISTANCE = 24
+export const INPUT_BUFFER_LENGTH = 2
+export const INPUT_BUFFER_MAX = 4
+
+// Rhythm, windows are in seconds around the metronome click
+export const GRADE_MISS = 0
+export const GRADE_GOOD = 1
+export const GRADE_PERFECT = 2
+export const RHYTHM_PERFECT_WINDOW = .08
+export const RHYTHM_GOOD_WINDOW = .16
+export const RHYTHM_POINTS = [0, 5, 10]
+export const RHYTHM_COMBO_STEP = 4
+export const RHYTHM_MAX_MULTIPLIER = 4
+export const MUSIC_SYNC_WINDOW = .05
+
+// Combat
+export const PLAYER_HP = 5
+export const PLAYER_ATTACK = 2
+export const PLAYER_DEFENSE = 0
+export const POTION_HEAL = 2
+export const SWORD_ATTACK = 1
+
+// Vision, in tiles
+export const FOV_RADIUS = 5
+
+// Enemies
+export const CULTIST_MIN_DISTANCE = 3
+export const CULTIST_MAX_DISTANCE = 5
+export const FLEE_FACTOR = -1.2
+export const SLIME_SPLIT_BEATS = 12
+export const SLIME_SPLITS = 2
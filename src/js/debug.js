@@ -0,0 +1,152 @@
+import { bfs } from './utils.js'
+import { getScale } from './screen.js'
+import { VIEW_WIDTH, VIEW_HEIGHT } from './constants.js'
+
+const label = (context, text, x, y) => {
+  context.fillStyle = '#000'
+  context.fillText(text, x + .2, y + .2)
+  context.fillStyle = '#fff'
+  context.fillText(text, x, y)
+}
+
+// Draws every edge of the level graph once, walking each connected part with a bfs
+export const drawGraph = (context, { graph, tileSize: size }) => {
+  const drawn = new Set()
+
+  context.strokeStyle = '#0f0'
+  context.fillStyle = '#0f0'
+  context.lineWidth = .5
+
+  for (const start of graph) {
+    if (drawn.has(start)) {
+      continue
+    }
+
+    bfs(start, {
+      enter (node) {
+        drawn.add(node)
+        context.fillRect(node.x * size + size / 2 - .5, node.y * size + size / 2 - .5, 1, 1)
+
+        for (const neighbour of node.neighbours) {
+          if (drawn.has(neighbour)) {
+            continue
+          }
+
+          context.beginPath()
+          context.moveTo(node.x * size + size / 2, node.y * size + size / 2)
+          context.lineTo(neighbour.x * size + size / 2, neighbour.y * size + size / 2)
+          context.stroke()
+        }
+      }
+    })
+  }
+}
+
+// Tracks the mouse in view pixels
+export const pointer = canvas => {
+  const position = { x: -1, y: -1 }
+
+  canvas.addEventListener('mousemove', ({ clientX, clientY }) => {
+    const { left, top } = canvas.getBoundingClientRect()
+
+    position.x = (clientX - left) / getScale()
+    position.y = (clientY - top) / getScale()
+  })
+
+  canvas.addEventListener('mouseleave', () => {
+    position.x = position.y = -1
+  })
+
+  return position
+}
+
+// Names the meta entries pointing at the node, like `key` or `chests`, and the map objects over it
+const roles = ({ meta, objects, width }, i) => {
+  const col = i % width
+  const row = i / width ^ 0
+
+  return Object.keys(meta)
+    .filter(role => Array.isArray(meta[role]) ? meta[role].includes(i) : meta[role] === i)
+    .concat(objects
+      .filter(({ x, y, width: w, height: h }) => col >= x && col < x + w && row >= y && row < y + h)
+      .map(({ type, name }) => name ? `${type}:${name}` : type))
+}
+
+// Shows the tile id, collision bits and meta roles of the tile under the mouse
+export const drawInspector = (context, level, mouse) => {
+  const { graph, camera, width, height, tileSize: size } = level
+  const x = mouse.x + Math.round(camera.x)
+  const y = mouse.y + Math.round(camera.y)
+  const col = Math.floor(x / size)
+  const row = Math.floor(y / size)
+
+  if (mouse.x < 0 || col < 0 || row < 0 || col >= width || row >= height) {
+    return
+  }
+
+  const i = row * width + col
+  const { id, walls } = graph[i]
+  const bits = walls.toString(2).padStart(4, '0')
+
+  context.save()
+  camera.apply(context)
+  context.strokeStyle = '#ff0'
+  context.lineWidth = .5
+  context.strokeRect(col * size, row * size, size, size)
+  context.restore()
+
+  // Panel at the bottom left of the view
+  const top = VIEW_HEIGHT - 20
+
+  context.fillStyle = 'rgba(0, 0, 0, .7)'
+  context.fillRect(0, top, 64, 20)
+
+  context.font = '4px monospace'
+  label(context, `${col},${row} #${i}`, 2, top + 5)
+  label(context, `tile ${id} urdl ${bits}`, 2, top + 10)
+  label(context, roles(level, i).join(' ') || '-', 2, top + 15)
+}
+
+// Counts rendered frames per second and the time spent in update and render
+export const timings = () => ({
+  fps: 0,
+  frames: 0,
+  second: performance.now(),
+  update: 0,
+  render: 0,
+
+  started: 0,
+
+  start () {
+    this.started = performance.now()
+  },
+
+  // Stores the time since `start` as the duration of the step
+  stop (step) {
+    this[step] = performance.now() - this.started
+  },
+
+  frame () {
+    const now = performance.now()
+    this.frames++
+
+    if (now - this.second >= 1000) {
+      this.fps = this.frames
+      this.frames = 0
+      this.second = now
+    }
+  },
+
+  // Panel at the top right of the view
+  draw (context) {
+    const left = VIEW_WIDTH - 44
+
+    context.fillStyle = 'rgba(0, 0, 0, .7)'
+    context.fillRect(left, 0, 44, 15)
+
+    context.font = '4px monospace'
+    label(context, `fps ${this.fps}`, left + 2, 5)
+    label(context, `upd ${this.update.toFixed(2)}`, left + 2, 9)
+    label(context, `drw ${this.render.toFixed(2)}`, left + 2, 13)
+  }
+})
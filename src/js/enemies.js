@@ -0,0 +1,238 @@
+import { Sprite } from 'kontra'
+import Entity from './entity.js'
+import { directionVector, oppositeDirection, directionTo, linear } from './utils.js'
+import { astar, dijkstra, fleeMap } from './pathfinding.js'
+import {
+  DIRECTION_NONE, DIRECTION_LEFT, DIRECTION_DOWN, DIRECTION_RIGHT, DIRECTION_UP,
+  CULTIST_MIN_DISTANCE, CULTIST_MAX_DISTANCE, SLIME_SPLIT_BEATS, SLIME_SPLITS
+} from './constants.js'
+
+const DIRECTIONS = [DIRECTION_LEFT, DIRECTION_DOWN, DIRECTION_RIGHT, DIRECTION_UP]
+
+// Direction names used in map object properties
+const DIRECTION_NAMES = {
+  left: DIRECTION_LEFT,
+  down: DIRECTION_DOWN,
+  right: DIRECTION_RIGHT,
+  up: DIRECTION_UP
+}
+
+class Enemy extends Entity {
+  constructor (gameObject, level) {
+    super(gameObject, level)
+
+    // Enemy moves once every `pace` beats
+    this.pace = 1
+    this.beat = 0
+
+    // Aggressive enemies attack the player when standing next to them
+    this.aggressive = true
+  }
+
+  // Applies the custom properties of the map object, like `hp`, `attack` or `pace`
+  configure ({ hp = this.hp, ...properties }) {
+    Object.assign(this, properties)
+    this.hp = this.maxHp = hp
+  }
+
+  get node () {
+    return this.level.graph[this.index]
+  }
+
+  get target () {
+    return this.level.graph[this.level.player.index]
+  }
+
+  // Pathfinding blocker for nodes taken by other enemies
+  get blocked () {
+    return node => this.level.enemies.some(enemy => enemy !== this && enemy.index === node.index)
+  }
+
+  // Nodes the enemy can step into on this beat
+  moves () {
+    return DIRECTIONS
+      .map(direction => this.step(...directionVector(direction)))
+      .filter(node => node)
+  }
+
+  // Picks the move that scores best, standing still when nothing beats the current node
+  best (score) {
+    let best = this.node
+    let bestScore = score(best)
+
+    for (const node of this.moves()) {
+      const value = score(node)
+
+      if (value > bestScore) {
+        best = node
+        bestScore = value
+      }
+    }
+
+    return directionTo(this.node, best)
+  }
+
+  // Returns the direction of an adjacent player
+  lunge () {
+    return DIRECTIONS.find(direction => {
+      const node = this.reach(...directionVector(direction))
+      return node && node.index === this.level.player.index
+    })
+  }
+
+  think () {
+    return DIRECTION_NONE
+  }
+
+  update (delta, moveUpdate) {
+    if (moveUpdate && ++this.beat >= this.pace) {
+      this.beat = 0
+      this.direction = this.aggressive && this.lunge() || this.think()
+    }
+
+    return super.update(delta, moveUpdate)
+  }
+}
+
+// Walks back and forth along a corridor
+export class Skeleton extends Enemy {
+  constructor (gameObject, level) {
+    super(gameObject, level)
+    this.patrol = DIRECTION_RIGHT
+    this.hp = this.maxHp = 2
+    this.defense = 1
+  }
+
+  // The patrol starts in the direction named by the `patrol` property
+  configure ({ patrol, ...properties }) {
+    super.configure(properties)
+
+    if (DIRECTION_NAMES[patrol]) {
+      this.patrol = DIRECTION_NAMES[patrol]
+    }
+  }
+
+  think () {
+    for (const direction of [this.patrol, oppositeDirection(this.patrol)]) {
+      if (this.step(...directionVector(direction))) {
+        return (this.patrol = direction)
+      }
+    }
+
+    return DIRECTION_NONE
+  }
+}
+
+// Slowly follows the shortest path to the player
+export class Zombie extends Enemy {
+  constructor (gameObject, level) {
+    super(gameObject, level)
+    this.pace = 2
+    this.hp = this.maxHp = 3
+    this.attack = 2
+  }
+
+  think () {
+    const [next] = astar(this.node, this.target, { blocked: this.blocked }) || []
+
+    return next ? directionTo(this.node, next) : DIRECTION_NONE
+  }
+}
+
+// Drifts straight towards the player through the walls
+export class Ghost extends Enemy {
+  constructor (gameObject, level) {
+    super(gameObject, level)
+    this.pace = 2
+    this.ethereal = true
+    this.easing = linear
+  }
+
+  think () {
+    const { target } = this
+    const dx = target.x - this.node.x
+    const dy = target.y - this.node.y
+
+    const direction = Math.abs(dx) > Math.abs(dy)
+      ? directionTo(this.node, { x: target.x, y: this.node.y })
+      : directionTo(this.node, { x: this.node.x, y: target.y })
+
+    return this.step(...directionVector(direction)) ? direction : DIRECTION_NONE
+  }
+}
+
+// Stays at a distance from the player, backing off when approached
+export class Cultist extends Enemy {
+  constructor (gameObject, level) {
+    super(gameObject, level)
+    this.aggressive = false
+    this.hp = this.maxHp = 2
+  }
+
+  think () {
+    const dist = dijkstra(this.target, { blocked: this.blocked })
+
+    if (!dist.has(this.node)) {
+      return DIRECTION_NONE
+    }
+
+    const d = dist.get(this.node)
+
+    if (d < CULTIST_MIN_DISTANCE) {
+      const flee = fleeMap(dist, { blocked: this.blocked })
+      return this.best(node => -flee.get(node))
+    }
+
+    if (d > CULTIST_MAX_DISTANCE) {
+      return this.best(node => -dist.get(node))
+    }
+
+    return DIRECTION_NONE
+  }
+}
+
+// Wanders around and every few beats splits into a free neighbouring node
+export class Slime extends Enemy {
+  constructor (gameObject, level, splits = SLIME_SPLITS) {
+    super(gameObject, level)
+    this.pace = 2
+    this.splits = splits
+    this.age = 0
+  }
+
+  split () {
+    const [node] = this.moves()
+
+    if (!node) {
+      return
+    }
+
+    this.splits--
+
+    const { width: size } = this.object
+    const slime = new Slime(Sprite({
+      x: node.x * size,
+      y: node.y * size,
+      animations: this.object.animations
+    }), this.level, this.splits)
+
+    this.level.enemies.push(slime)
+  }
+
+  think () {
+    if (this.splits > 0 && (this.age += this.pace) >= SLIME_SPLIT_BEATS) {
+      this.age = 0
+      this.split()
+
+      return DIRECTION_NONE
+    }
+
+    const moves = this.moves()
+
+    if (!moves.length) {
+      return DIRECTION_NONE
+    }
+
+    return directionTo(this.node, moves[this.level.random() * moves.length ^ 0])
+  }
+}
@@ -1,67 +1,228 @@
 import { easeInOutCirc } from './utils.js'
-import { width } from '../maps/1.json'
-import { Vector as Vec2 } from 'kontra'
-import { ERROR_CORRECTION, GAME_SPEED, DIRECTION_LEFT, DIRECTION_DOWN, DIRECTION_UP, DIRECTION_RIGHT, DIRECTION_NONE } from './constants.js'
+import { duration } from './animations.js'
+import { Vector as Vec2, emit } from 'kontra'
+import { MOVE_DURATION, DIRECTION_LEFT, DIRECTION_DOWN, DIRECTION_UP, DIRECTION_RIGHT, DIRECTION_NONE, EVENT_STEP, EVENT_BUMP, EVENT_HIT, EVENT_DIE } from './constants.js'
 
 export default class Entity {
   constructor (gameObject, level) {
     this.object = gameObject
     this.level = level
-    this.direction = DIRECTION_NONE
 
-    this.x = 0
-    this.y = 0
+    // Directions waiting for the next move ticks, one is consumed per tick
+    this.queue = []
+
+    // Ethereal entities ignore the walls between graph nodes
+    this.ethereal = false
+
+    this.hp = this.maxHp = 1
+    this.attack = 1
+    this.defense = 0
+
+    this.index = (gameObject.y / gameObject.width ^ 0) * level.width + (gameObject.x / gameObject.width ^ 0)
+
+    // Tween from the position the last move started at to the node it leads to
+    this.from = { x: gameObject.x, y: gameObject.y }
+    this.progress = 1
+    this.easing = easeInOutCirc
+
+    // One-shot animation being played and the time it has left, idle and walk loop otherwise
+    this.action = null
+    this.actionTime = 0
+  }
+
+  // Plays a one-shot animation like `attack` or `hurt`
+  animate (name) {
+    this.action = name
+    this.actionTime = duration(this.object.animations[name])
+    this.object.playAnimation(name)
+  }
+
+  // Mirrors the sprite when facing left, the anchor keeps it on its tile
+  face (dx) {
+    this.object.scaleX = dx < 0 ? -1 : 1
+    this.object.anchor = { x: dx < 0 ? 1 : 0, y: 0 }
+  }
+
+  // Pixel position of a node
+  position (i) {
+    const { width } = this.level
+    const size = this.object.width
+
+    return { x: i % width * size, y: (i / width ^ 0) * size }
+  }
+
+  // Puts the entity on given node of a level
+  place (level, i) {
+    this.level = level
+    this.index = i
+    this.cancelMoves()
+
+    Object.assign(this.object, this.position(i))
+    this.progress = 1
+  }
+
+  // Number of directions the entity can queue
+  get bufferLength () {
+    return 1
+  }
+
+  get direction () {
+    return this.queue.length ? this.queue[0] : DIRECTION_NONE
+  }
+
+  // Replaces whatever is queued with a single direction
+  set direction (direction) {
+    this.queue = direction ? [direction] : []
+  }
+
+  // Queues the direction, returns false when the buffer is full
+  queueMove (direction) {
+    if (this.queue.length >= this.bufferLength) {
+      return false
+    }
+
+    this.queue.push(direction)
+    return true
+  }
+
+  cancelMoves () {
+    this.queue = []
+  }
+
+  // Called when the entity starts moving into a node
+  arrive (node) {}
+
+  get dead () {
+    return this.hp <= 0
+  }
+
+  // Player and enemies fight each other, enemies do not fight among themselves
+  opposes (entity) {
+    return (this === this.level.player) !== (entity === this.level.player)
+  }
+
+  hit (target) {
+    this.animate('attack')
+    emit(EVENT_HIT, this, target)
+    target.damage(Math.max(1, this.attack - target.defense))
+  }
+
+  damage (amount) {
+    this.hp = Math.max(this.hp - amount, 0)
+
+    if (this.dead) {
+      emit(EVENT_DIE, this)
+      this.die()
+    } else {
+      this.animate('hurt')
+    }
+  }
+
+  die () {
+    this.animate('die')
+
+    // Dead enemies are kept around until their death animation is over
+    if (this.level.enemies.includes(this)) {
+      this.level.enemies = this.level.enemies.filter(enemy => enemy !== this)
+      this.level.corpses.push(this)
+    }
+  }
+
+  // Returns the graph node one step away or undefined when it cannot be reached
+  reach (dx, dy) {
+    const { width, height } = this.level
+    const x = this.index % width + dx
+    const y = (this.index / width ^ 0) + dy
+
+    if (x < 0 || y < 0 || x >= width || y >= height) {
+      return
+    }
+
+    const i = y * width + x
+    const node = this.level.graph[i]
+
+    if (!this.ethereal && !this.level.graph[this.index].neighbours.has(node)) {
+      return
+    }
+
+    return node
+  }
+
+  // Returns the entity standing on given node
+  occupant (node) {
+    return this.level.entities.find(entity => entity.index === node.index)
+  }
+
+  // Returns the graph node one step away or undefined when it cannot be entered
+  step (dx, dy) {
+    const node = this.reach(dx, dy)
+
+    if (node && !this.occupant(node)) {
+      return node
+    }
   }
 
   update (delta, moveUpdate) {
     if (moveUpdate) {
-      switch (this.direction) {
-        case DIRECTION_UP:    this.y = -1; break
-        case DIRECTION_DOWN:  this.y =  1; break
-        case DIRECTION_LEFT:  this.x = -1; break
-        case DIRECTION_RIGHT: this.x =  1; break
+      let x = 0
+      let y = 0
+
+      switch (this.queue.shift()) {
+        case DIRECTION_UP:    y = -1; break
+        case DIRECTION_DOWN:  y =  1; break
+        case DIRECTION_LEFT:  x = -1; break
+        case DIRECTION_RIGHT: x =  1; break
       }
 
-      this.direction = DIRECTION_NONE
+      if (x) {
+        this.face(x)
+      }
 
-      const x = this.object.x / this.object.width ^ 0
-      const y = this.object.y / this.object.width ^ 0
-      const i = y * width + x
+      const node = (x || y) && this.reach(x, y)
+      const target = node && this.occupant(node)
 
-      const node = this.level.graph[i]
-      const neighbour = [...node.neighbours].some(n => n.x === x + this.x && n.y === y + this.y)
+      if ((x || y) && !node) {
+        emit(EVENT_BUMP, this)
+      }
 
-      if (!neighbour) {
-        this.x = 0
-        this.y = 0
+      // Bump to attack
+      if (target && this.opposes(target)) {
+        this.hit(target)
       }
-    }
 
-    this.object.x += this.x * delta * GAME_SPEED * (this.object.width * 2 - ERROR_CORRECTION)
-    this.object.y += this.y * delta * GAME_SPEED * (this.object.width * 2 - ERROR_CORRECTION)
+      // Moves start from wherever the sprite is, so a new move can cut an unfinished one short
+      if (node && !target) {
+        this.index = node.index
+        this.from = { x: this.object.x, y: this.object.y }
+        this.progress = 0
 
-    if (this.x > 0) {
-      this.x = Math.max(this.x - delta * GAME_SPEED, 0)
+        emit(EVENT_STEP, this, node)
+        this.arrive(node)
+      }
     }
 
-    if (this.x < 0) {
-      this.x = Math.min(this.x + delta * GAME_SPEED, 0)
-    }
+    if (this.progress < 1) {
+      const to = this.position(this.index)
+
+      this.progress = Math.min(this.progress + delta / MOVE_DURATION, 1)
 
-    if (this.y > 0) {
-      this.y = Math.max(this.y - delta * GAME_SPEED, 0)
+      const t = this.easing(this.progress)
+
+      this.object.x = this.from.x + (to.x - this.from.x) * t
+      this.object.y = this.from.y + (to.y - this.from.y) * t
     }
 
-    if (this.y < 0) {
-      this.y = Math.min(this.y + delta * GAME_SPEED, 0)
+    if (this.action && (this.actionTime -= delta) <= 0) {
+      this.action = null
     }
 
-    if (this.x === 0 && this.y === 0) {
-      this.object.x = Math.round(this.object.x)
-      this.object.y = Math.round(this.object.y)
+    const animation = this.action || (this.progress < 1 ? 'walk' : 'idle')
+
+    if (this.object.currentAnimation !== this.object.animations[animation]) {
+      this.object.playAnimation(animation)
     }
 
-    return this.object.update()
+    return this.object.update(delta)
   }
 
   render () {
@@ -0,0 +1,111 @@
+import { FOV_RADIUS } from './constants.js'
+
+// Tiles blocking both the way up and down are solid walls, the rest are floors
+// that may have a thin wall along their left or right edge
+const WALL = 0b1010
+
+// Transforms from the row and column of a scan to map offsets, one per octant
+const OCTANTS = [
+  [1, 0, 0, -1],
+  [0, 1, -1, 0],
+  [0, 1, 1, 0],
+  [1, 0, 0, 1],
+  [-1, 0, 0, 1],
+  [0, -1, 1, 0],
+  [0, -1, -1, 0],
+  [-1, 0, 0, -1]
+]
+
+// Whether the tile stops light travelling in the horizontal direction `sx`
+const opaque = ({ graph, width }, x, y, sx) => {
+  const bits = graph[y * width + x].walls
+
+  if ((bits & WALL) === WALL) {
+    return true
+  }
+
+  if (!sx || x + sx < 0 || x + sx >= width) {
+    return false
+  }
+
+  const next = graph[y * width + x + sx].walls
+
+  return !!(sx > 0 ? bits & 0b0100 || next & 0b0001 : bits & 0b0001 || next & 0b0100)
+}
+
+// Recursive shadowcasting, returns the indices of the tiles visible from the index.
+// Walls are lit themselves and cast a shadow over everything behind them
+export const fieldOfView = (level, i, radius) => {
+  const { width, height } = level
+  const cx = i % width
+  const cy = i / width ^ 0
+  const visible = new Set([i])
+
+  const cast = (row, start, end, [xx, xy, yx, yy]) => {
+    if (start < end) {
+      return
+    }
+
+    let next = start
+
+    for (let j = row; j <= radius; j++) {
+      let blocked = false
+
+      for (let dx = -j, dy = -j; dx <= 0; dx++) {
+        const x = cx + dx * xx + dy * xy
+        const y = cy + dx * yx + dy * yy
+        const left = (dx - .5) / (dy + .5)
+        const right = (dx + .5) / (dy - .5)
+
+        if (start < right) {
+          continue
+        }
+
+        if (end > left) {
+          break
+        }
+
+        const inside = x >= 0 && y >= 0 && x < width && y < height
+        const wall = !inside || opaque(level, x, y, Math.sign(x - cx))
+
+        if (inside && dx * dx + dy * dy <= radius * radius) {
+          visible.add(y * width + x)
+        }
+
+        if (blocked) {
+          if (wall) {
+            next = right
+          } else {
+            blocked = false
+            start = next
+          }
+        } else if (wall && j < radius) {
+          blocked = true
+          cast(j + 1, start, left, [xx, xy, yx, yy])
+          next = right
+        }
+      }
+
+      if (blocked) {
+        break
+      }
+    }
+  }
+
+  OCTANTS.map(octant => cast(1, 1, 0, octant))
+
+  return visible
+}
+
+// Updates the tiles the player sees and remembers. The player sees nearby tiles
+// and, from any distance, the tiles in line of sight that are lit by a light,
+// tiles with the `light` property shine that many tiles around them
+export const look = level => {
+  const { player, meta, width, height } = level
+  const sight = fieldOfView(level, player.index, Math.max(width, height))
+  const near = fieldOfView(level, player.index, FOV_RADIUS)
+  const lit = new Set(meta.lights.flatMap(i => [...fieldOfView(level, i, level.tile(i).light)]))
+
+  level.visible = new Set([...sight].filter(i => near.has(i) || lit.has(i)))
+  level.visible.forEach(i => level.seen.add(i))
+}
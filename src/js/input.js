@@ -0,0 +1,155 @@
+import { initKeys, bindKeys, unbindKeys, keyMap, getStoreItem, setStoreItem } from 'kontra'
+import {
+  ACTION_LEFT, ACTION_DOWN, ACTION_RIGHT, ACTION_UP, ACTION_WAIT, ACTION_CONFIRM, ACTION_BACK,
+  ACTION_INVENTORY, ACTION_MUTE, ACTION_RESTART, GAMEPAD_DEADZONE
+} from './constants.js'
+
+export const ACTION_NAMES = {
+  [ACTION_LEFT]: 'left',
+  [ACTION_DOWN]: 'down',
+  [ACTION_UP]: 'up',
+  [ACTION_RIGHT]: 'right',
+  [ACTION_WAIT]: 'wait',
+  [ACTION_CONFIRM]: 'interact',
+  [ACTION_BACK]: 'pause',
+  [ACTION_INVENTORY]: 'items',
+  [ACTION_MUTE]: 'mute',
+  [ACTION_RESTART]: 'restart'
+}
+
+// Keys use kontra names
+const DEFAULT_BINDINGS = {
+  [ACTION_LEFT]: ['left', 'h', 'a'],
+  [ACTION_DOWN]: ['down', 'j', 's'],
+  [ACTION_UP]: ['up', 'k', 'w'],
+  [ACTION_RIGHT]: ['right', 'l', 'd'],
+  [ACTION_WAIT]: ['space'],
+  [ACTION_CONFIRM]: ['enter', 'e'],
+  [ACTION_BACK]: ['esc', 'p'],
+  [ACTION_INVENTORY]: ['i'],
+  [ACTION_MUTE]: ['m'],
+  [ACTION_RESTART]: ['r']
+}
+
+// Standard gamepad mapping, axes are [index, sign]
+const GAMEPAD_BUTTONS = {
+  [ACTION_LEFT]: [14],
+  [ACTION_DOWN]: [13],
+  [ACTION_UP]: [12],
+  [ACTION_RIGHT]: [15],
+  [ACTION_WAIT]: [2],
+  [ACTION_CONFIRM]: [0],
+  [ACTION_BACK]: [1, 9],
+  [ACTION_INVENTORY]: [3],
+  [ACTION_RESTART]: [8]
+}
+
+const GAMEPAD_AXES = {
+  [ACTION_LEFT]: [0, -1],
+  [ACTION_DOWN]: [1, 1],
+  [ACTION_UP]: [1, -1],
+  [ACTION_RIGHT]: [0, 1]
+}
+
+// Stored bindings may predate some actions, those keep their default keys, and so do
+// actions that older saves left without keys
+let bindings = { ...DEFAULT_BINDINGS }
+
+for (const [action, keys] of Object.entries(getStoreItem('bindings') || {})) {
+  if (keys.length) {
+    bindings[action] = keys
+  }
+}
+
+let listener = () => {}
+
+// Actions held on the gamepad during the last poll, so that holding does not repeat them
+let held = new Set()
+
+// Translates a keyboard event into the key name kontra uses, or undefined for unsupported keys
+export const keyName = ({ code }) => keyMap[code]
+
+const bindAll = () => {
+  for (const action in bindings) {
+    bindKeys(bindings[action], () => listener(+action))
+  }
+}
+
+const unbindAll = () => {
+  for (const action in bindings) {
+    unbindKeys(bindings[action])
+  }
+}
+
+export const initInput = onAction => {
+  listener = onAction
+
+  initKeys()
+  bindAll()
+}
+
+export const getBindings = () => bindings
+
+// Feeds an action from other input sources, like touch controls
+export const dispatch = action => listener(action)
+
+// Makes the key the only one bound to the action. An action the key is taken from
+// gets the keys the action had instead, so that no action is left without keys
+export const rebind = (action, key) => {
+  const previous = bindings[action]
+
+  unbindAll()
+
+  for (const other in bindings) {
+    if (bindings[other].includes(key)) {
+      bindings[other] = [...new Set([...bindings[other].filter(k => k !== key), ...previous])]
+    }
+  }
+
+  bindings[action] = [key]
+
+  setStoreItem('bindings', bindings)
+  bindAll()
+}
+
+export const resetBindings = () => {
+  unbindAll()
+
+  bindings = { ...DEFAULT_BINDINGS }
+  setStoreItem('bindings')
+
+  bindAll()
+}
+
+// Gamepads have no events for buttons, so they are polled every frame
+export const pollGamepads = () => {
+  const pressed = new Set()
+
+  for (const gamepad of navigator.getGamepads ? navigator.getGamepads() : []) {
+    if (!gamepad) {
+      continue
+    }
+
+    for (const action in GAMEPAD_BUTTONS) {
+      if (GAMEPAD_BUTTONS[action].some(i => gamepad.buttons[i] && gamepad.buttons[i].pressed)) {
+        pressed.add(+action)
+      }
+    }
+
+    for (const action in GAMEPAD_AXES) {
+      const [axis, sign] = GAMEPAD_AXES[action]
+
+      if (gamepad.axes[axis] * sign > GAMEPAD_DEADZONE) {
+        pressed.add(+action)
+      }
+    }
+  }
+
+  for (const action of pressed) {
+    if (!held.has(action)) {
+      listener(action)
+    }
+  }
+
+  held = pressed
+}
@@ -0,0 +1,109 @@
+import { TILE_POTION, TILE_GOLD, TILE_SWORD, TILE_KEY, POTION_HEAL, SWORD_ATTACK } from './constants.js'
+
+// Item `use` returns true when the item is consumed
+export const POTION = {
+  name: 'potion',
+  tile: TILE_POTION,
+  use: player => {
+    if (player.hp === player.maxHp) {
+      return false
+    }
+
+    player.hp = Math.min(player.hp + POTION_HEAL, player.maxHp)
+    return true
+  }
+}
+
+export const SWORD = {
+  name: 'sword',
+  tile: TILE_SWORD,
+  use: player => {
+    player.attack += SWORD_ATTACK
+    return true
+  }
+}
+
+export const KEY = {
+  name: 'key',
+  tile: TILE_KEY,
+  use: player => player.level.unlock()
+}
+
+export const GOLD = {
+  name: 'gold',
+  tile: TILE_GOLD,
+  use: () => false
+}
+
+// Every item, for looking them up by name
+export const ITEMS = [POTION, SWORD, KEY, GOLD]
+
+// Weighted loot tables of [item, weight, count] for every level
+const LOOT = [
+  [[GOLD, 6, 5], [POTION, 3, 1], [SWORD, 1, 1]],
+  [[GOLD, 5, 10], [POTION, 3, 1], [SWORD, 1, 1], [KEY, 1, 1]],
+  [[GOLD, 4, 15], [POTION, 4, 1], [SWORD, 2, 1]],
+  [[GOLD, 4, 20], [POTION, 4, 2], [SWORD, 2, 1], [KEY, 1, 1]],
+  [[GOLD, 1, 50]]
+]
+
+export const rollLoot = (level, random = Math.random) => {
+  const table = LOOT[Math.min(level, LOOT.length - 1)]
+  let roll = random() * table.reduce((sum, [, weight]) => sum + weight, 0)
+
+  for (const [item, weight, count] of table) {
+    if ((roll -= weight) < 0) {
+      return [item, count]
+    }
+  }
+
+  const [item, , count] = table[table.length - 1]
+  return [item, count]
+}
+
+export class Inventory {
+  constructor () {
+    // Item to count, kept in pickup order
+    this.items = new Map()
+  }
+
+  get entries () {
+    return [...this.items]
+  }
+
+  count (item) {
+    return this.items.get(item) || 0
+  }
+
+  add (item, count = 1) {
+    this.items.set(item, this.count(item) + count)
+  }
+
+  remove (item, count = 1) {
+    const left = this.count(item) - count
+
+    if (left > 0) {
+      this.items.set(item, left)
+    } else {
+      this.items.delete(item)
+    }
+  }
+
+  // Items as [name, count] pairs that can be stored
+  save () {
+    return this.entries.map(([{ name }, count]) => [name, count])
+  }
+
+  restore (items) {
+    this.items = new Map(items.map(([name, count]) => [ITEMS.find(item => item.name === name), count]))
+  }
+
+  use (item, player) {
+    if (this.count(item) && item.use(player)) {
+      this.remove(item)
+      return true
+    }
+
+    return false
+  }
+}
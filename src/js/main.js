@@ -1,23 +1,44 @@
-import { init, GameLoop, initKeys, bindKeys, keyPressed } from 'kontra'
-import { creditsText } from './views/credits.js'
+import { init, GameLoop, bindKeys, keyPressed } from 'kontra'
 import { Box2, Vector2 as Vec2 } from 'math-ds'
-import { DIRECTION_LEFT, DIRECTION_DOWN, DIRECTION_UP, DIRECTION_RIGHT, SCALE, GAME_SPEED } from './constants.js'
-
-import loadLevel from './views/game.js'
+import { register, replace, update, render, input } from './scenes.js'
+import { toggleMute } from './sounds.js'
+import { initInput, pollGamepads } from './input.js'
+import { initTouch } from './touch.js'
+import { initScreen, applyScale } from './screen.js'
+import { drawGraph, drawInspector, pointer, timings } from './debug.js'
+import { creditsMenu } from './views/credits.js'
+import { inventoryScene } from './views/inventory.js'
+import { controlsScene } from './views/controls.js'
+import { titleMenu, pauseMenu, gameOverMenu, victoryMenu } from './views/menu.js'
+import {
+  SCENE_TITLE, SCENE_CREDITS, SCENE_GAME, SCENE_PAUSE, SCENE_GAME_OVER, SCENE_VICTORY, SCENE_INVENTORY,
+  SCENE_CONTROLS, ACTION_MUTE
+} from './constants.js'
+
+import { gameScene, TILESET, LEVELS } from './views/game.js'
 
 const { canvas, context } = init('c')
 
 // Scale context
-canvas.height = canvas.width = SCALE * 8 * 16
-context.imageSmoothingEnabled = false
+initScreen(canvas, context)
 
 Promise.resolve().then(async () => {
-  // Init controls
-  initKeys()
+  // Init controls, muting works in every scene
+  initInput(action => action === ACTION_MUTE ? toggleMute() : input(action))
+  initTouch(canvas)
 
   // Init objects and scenes
-  const credits = creditsText()
-  let level = await loadLevel()
+  const image = await TILESET
+  const game = gameScene(image)
+
+  register(SCENE_TITLE, titleMenu())
+  register(SCENE_CREDITS, creditsMenu())
+  register(SCENE_GAME, game)
+  register(SCENE_PAUSE, pauseMenu())
+  register(SCENE_GAME_OVER, gameOverMenu())
+  register(SCENE_VICTORY, victoryMenu())
+  register(SCENE_INVENTORY, inventoryScene(image))
+  register(SCENE_CONTROLS, controlsScene())
 
   // Bind keys
   
@@ -25,8 +46,13 @@ Promise.resolve().then(async () => {
   const debug = {
     ids: false,
     graph: false,
+    inspector: false,
+    timings: false
   }
 
+  const mouse = pointer(canvas)
+  const timer = timings()
+
   bindKeys('0', () => {
     debug.ids = !debug.ids
   })
@@ -35,46 +61,59 @@ Promise.resolve().then(async () => {
     debug.graph = !debug.graph
   })
 
-  for (const n of [0, 1, 2, 3, 4]) {
-    bindKeys((n + 1).toString(), async () => {
-      context.scale(1 / SCALE, 1 / SCALE)
-      level = await loadLevel(n)
-      context.scale(SCALE, SCALE)
-    })
-  }
-  // @endif
-  
-  const { player } = level
-  let acc = 0
+  bindKeys('8', () => {
+    debug.inspector = !debug.inspector
+  })
 
-  bindKeys('h', () => (player.direction = DIRECTION_LEFT))
-  bindKeys('j', () => (player.direction = DIRECTION_DOWN))
-  bindKeys('k', () => (player.direction = DIRECTION_UP))
-  bindKeys('l', () => (player.direction = DIRECTION_RIGHT))
+  bindKeys('7', () => {
+    debug.timings = !debug.timings
+  })
 
-  // Apply the scale after creating overlay
-  context.scale(SCALE, SCALE)
+  // Number keys up to 6 load the levels in order, the ones above toggle the overlays
+  LEVELS.slice(0, 6).map(({ id }, n) => {
+    bindKeys((n + 1).toString(), () => game.load(id))
+  })
+  // @endif
+
+  replace(SCENE_TITLE)
 
   GameLoop({
     update (delta) {
-      acc += delta
+      pollGamepads()
 
-      level.player.update(delta, acc >= 1 / GAME_SPEED)
-      if (acc >= 1 / GAME_SPEED) {
-        acc = 0
-      }
+      // @ifdef DEBUG
+      timer.start()
+      // @endif
+
+      update(delta)
+
+      // @ifdef DEBUG
+      timer.stop('update')
+      // @endif
     },
 
     render () {
-      level.engine.render()
-      level.player.render()
-      level.topLayer.render()
+      applyScale(context)
 
       // @ifdef DEBUG
-      if (debug.ids) {
-        level.engine.layers[0].data.map((id, i) => {
-          const x = i % 16
-          const y = i / 16 ^ 0
+      timer.frame()
+      timer.start()
+      // @endif
+
+      render()
+
+      // @ifdef DEBUG
+      timer.stop('render')
+
+      const { level } = game
+
+      context.save()
+      level && level.camera.apply(context)
+
+      if (level && debug.ids) {
+        level.map.map((id, i) => {
+          const x = i % level.width
+          const y = i / level.width ^ 0
 
           context.font = '3px monospace'
           context.fillStyle = '#000'
@@ -84,13 +123,20 @@ Promise.resolve().then(async () => {
         })
       }
 
+      if (level && debug.graph) {
+        drawGraph(context, level)
+      }
+
+      context.restore()
 
-      if (debug.graph) {
-        const visited = new Set()
+      if (level && debug.inspector) {
+        drawInspector(context, level, mouse)
       }
-      // @endif
 
-      credits.render()
+      if (debug.timings) {
+        timer.draw(context)
+      }
+      // @endif
     }
   }).start()
 })
@@ -0,0 +1,98 @@
+import { getAudioContext, buildSamples, getNote, SAMPLE_RATE } from './zzfx.js'
+import { isMuted } from './sounds.js'
+import { GAME_SPEED } from './constants.js'
+
+// Notes are scheduled slightly ahead on the audio clock so timer jitter is not audible
+const LOOKAHEAD = .1
+const INTERVAL = 25
+
+// Samples for every instrument and note pair, instruments never use randomness so they can be reused
+const cache = new Map()
+
+let song = null
+let timer = 0
+let step = 0
+let next = 0
+
+// Audio time the song started at
+let origin = 0
+let tempo = GAME_SPEED
+
+const getSamples = (instrument, i, note) => {
+  const key = `${i}:${note}`
+
+  if (!cache.has(key)) {
+    const params = [...instrument]
+    params[1] = 0
+    params[2] = getNote(note, 220)
+
+    cache.set(key, buildSamples(...params))
+  }
+
+  return cache.get(key)
+}
+
+const playAt = (samples, time) => {
+  const context = getAudioContext()
+  const buffer = context.createBuffer(1, samples.length, SAMPLE_RATE)
+  const source = context.createBufferSource()
+
+  buffer.getChannelData(0).set(samples)
+  source.buffer = buffer
+  source.connect(context.destination)
+  source.start(time)
+}
+
+const schedule = () => {
+  const { currentTime } = getAudioContext()
+  const { instruments, patterns, order, length, steps } = song
+
+  // Steps the timer was too late for are skipped instead of all played at once,
+  // throttled timers in background tabs fall behind by seconds
+  while (next < currentTime) {
+    next += 1 / (tempo * steps)
+    step++
+  }
+
+  while (next < currentTime + LOOKAHEAD) {
+    const pattern = patterns[order[(step / length ^ 0) % order.length]]
+
+    pattern.map((notes, i) => {
+      const note = notes[step % length]
+
+      if (note !== undefined && note !== null && !isMuted()) {
+        playAt(getSamples(instruments[i], i, note), next)
+      }
+    })
+
+    next += 1 / (tempo * steps)
+    step++
+  }
+}
+
+export const stop = () => clearInterval(timer)
+
+// Loops the song as if it had started `time` seconds ago, a negative time starts it
+// later. Restarting keeps the samples of the same song
+export const start = (s, time) => {
+  stop()
+
+  if (song !== s) {
+    cache.clear()
+  }
+
+  song = s
+  step = 0
+  next = origin = getAudioContext().currentTime - time
+  timer = setInterval(schedule, INTERVAL)
+}
+
+// Seconds since the song started, this keeps counting while the music is stopped
+export const getTime = () => getAudioContext().currentTime - origin
+
+// Changes the speed in beats per second, GAME_SPEED keeps the music on the move ticks
+export const setTempo = beatsPerSecond => {
+  tempo = beatsPerSecond
+}
+
+export const getTempo = () => tempo
@@ -0,0 +1,117 @@
+import { bfs } from './utils.js'
+import { FLEE_FACTOR } from './constants.js'
+
+// Options shared by the weighted searches, `cost` is the price of entering a node
+// and should be at least 1 for the A* heuristic to hold, `blocked` nodes are skipped
+const DEFAULTS = {
+  cost: () => 1,
+  blocked: () => false
+}
+
+const manhattan = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y)
+
+// Pops the node with the lowest score, the level graphs are small enough for a linear scan
+const pop = (open, score) => {
+  let best
+
+  for (const node of open) {
+    if (!best || score(node) < score(best)) {
+      best = node
+    }
+  }
+
+  open.delete(best)
+  return best
+}
+
+// Follows the prev links back from the node, returns the path without the start node
+export const pathTo = (prev, node) => {
+  const path = []
+
+  while (prev.has(node)) {
+    path.unshift(node)
+    node = prev.get(node)
+  }
+
+  return path
+}
+
+// Fewest steps between two nodes, undefined when the target cannot be reached
+export const shortestPath = (from, to) => {
+  const prev = new Map()
+
+  bfs(from, {
+    enter (node, visited, previous) {
+      previous && prev.set(node, previous)
+    }
+  })
+
+  return from === to || prev.has(to) ? pathTo(prev, to) : undefined
+}
+
+// Cheapest path between two nodes, the target itself is never considered blocked
+export const astar = (from, to, options) => {
+  const { cost, blocked } = { ...DEFAULTS, ...options }
+  const dist = new Map([[from, 0]])
+  const prev = new Map()
+  const open = new Set([from])
+
+  while (open.size) {
+    const node = pop(open, node => dist.get(node) + manhattan(node, to))
+
+    if (node === to) {
+      return pathTo(prev, to)
+    }
+
+    for (const neighbour of node.neighbours) {
+      if (neighbour !== to && blocked(neighbour)) {
+        continue
+      }
+
+      const d = dist.get(node) + cost(neighbour)
+
+      if (!dist.has(neighbour) || d < dist.get(neighbour)) {
+        dist.set(neighbour, d)
+        prev.set(neighbour, node)
+        open.add(neighbour)
+      }
+    }
+  }
+}
+
+// Maps every reachable node to the cost of its cheapest path from the nearest source.
+// Sources are a node, a list of nodes or a Map of nodes to their starting values
+export const dijkstra = (sources, options) => {
+  const { cost, blocked } = { ...DEFAULTS, ...options }
+  const dist = sources instanceof Map
+    ? new Map(sources)
+    : new Map([].concat(sources).map(node => [node, 0]))
+  const open = new Set(dist.keys())
+
+  while (open.size) {
+    const node = pop(open, node => dist.get(node))
+
+    for (const neighbour of node.neighbours) {
+      if (blocked(neighbour)) {
+        continue
+      }
+
+      const d = dist.get(node) + cost(neighbour)
+
+      if (!dist.has(neighbour) || d < dist.get(neighbour)) {
+        dist.set(neighbour, d)
+        open.add(neighbour)
+      }
+    }
+  }
+
+  return dist
+}
+
+// Turns an approach map into one that leads away from its sources. Scaling the
+// distances past -1 and relaxing them again makes fleeing entities prefer
+// escape routes over corners that are merely far away
+export const fleeMap = (dist, options) => dijkstra(
+  new Map([...dist].map(([node, d]) => [node, d * FLEE_FACTOR])),
+  options
+)
@@ -0,0 +1,62 @@
+import { emit, getStoreItem } from 'kontra'
+import Entity from './entity.js'
+import { Inventory } from './items.js'
+import { PLAYER_HP, PLAYER_ATTACK, PLAYER_DEFENSE, EVENT_KEY, EVENT_STAIRS, INPUT_BUFFER_LENGTH } from './constants.js'
+
+export default class Player extends Entity {
+  constructor (gameObject, level) {
+    super(gameObject, level)
+
+    this.hp = this.maxHp = PLAYER_HP
+    this.attack = PLAYER_ATTACK
+    this.defense = PLAYER_DEFENSE
+
+    this.inventory = new Inventory()
+  }
+
+  // The buffer length can be changed in the controls while playing
+  get bufferLength () {
+    return getStoreItem('buffer') || INPUT_BUFFER_LENGTH
+  }
+
+  // Stats and items carried over when going back to a checkpoint
+  save () {
+    const { hp, maxHp, attack, defense, inventory } = this
+
+    return { hp, maxHp, attack, defense, items: inventory.save() }
+  }
+
+  restore ({ items, ...stats }) {
+    Object.assign(this, stats)
+    this.inventory.restore(items)
+  }
+
+  arrive (node) {
+    const { meta } = this.level
+    const spawn = this.level.spawnAt(node.index)
+
+    this.level.trigger(node.index)
+
+    // Every spawn is a checkpoint, the game scene saves when a new one is reached
+    if (spawn) {
+      this.level.checkpoint = spawn.id
+    }
+
+    if (node.index === meta.key) {
+      meta.key = -1
+      this.level.setTile(node.index, this.level.tileFor('ground'))
+      emit(EVENT_KEY, node.index)
+      this.level.unlock()
+    }
+
+    if (meta.chests.includes(node.index)) {
+      const loot = this.level.loot(node.index)
+      loot && this.inventory.add(...loot)
+    }
+
+    if (node.index === meta.stairs || node.index === meta.goal) {
+      emit(EVENT_STAIRS, node.index)
+      this.level.complete = true
+    }
+  }
+}
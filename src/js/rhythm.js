@@ -0,0 +1,83 @@
+import { getStoreItem, setStoreItem } from 'kontra'
+import { play as zzfx } from './zzfx.js'
+import { isMuted } from './sounds.js'
+import {
+  GAME_SPEED, GRADE_MISS, GRADE_GOOD, GRADE_PERFECT, RHYTHM_PERFECT_WINDOW, RHYTHM_GOOD_WINDOW,
+  RHYTHM_POINTS, RHYTHM_COMBO_STEP, RHYTHM_MAX_MULTIPLIER
+} from './constants.js'
+
+// The click is played a full window before the move tick, so that both early
+// and late inputs still land before the tick consumes the players direction
+export const CLICK_TIME = 1 / GAME_SPEED - RHYTHM_GOOD_WINDOW
+
+const CLICK = [.3, 0, 1800, 0, 0, .03, 1]
+const CLICK_ACCENT = [.4, 0, 2400, 0, 0, .04, 1]
+
+export const rhythmEnabled = () => getStoreItem('rhythm') === true
+
+export const toggleRhythm = () => setStoreItem('rhythm', !rhythmEnabled())
+
+export default class Rhythm {
+  constructor () {
+    this.reset()
+  }
+
+  reset () {
+    this.enabled = rhythmEnabled()
+    this.combo = 0
+    this.score = 0
+    this.beats = 0
+
+    // Last grade and the time since it was given, used for the feedback
+    this.grade = -1
+    this.time = 0
+
+    this.clicked = false
+    this.judged = false
+  }
+
+  get multiplier () {
+    return Math.min(1 + (this.combo / RHYTHM_COMBO_STEP ^ 0), RHYTHM_MAX_MULTIPLIER)
+  }
+
+  // Plays the metronome, `acc` is the time since the last move tick
+  update (delta, acc) {
+    this.time += delta
+
+    if (this.enabled && !this.clicked && acc >= CLICK_TIME) {
+      this.clicked = true
+
+      if (!isMuted()) {
+        zzfx(...(this.beats % 4 ? CLICK : CLICK_ACCENT))
+      }
+
+      this.beats++
+    }
+  }
+
+  // Starts a new beat
+  tick () {
+    this.clicked = false
+    this.judged = false
+  }
+
+  // Grades an input made `acc` seconds after the last move tick, only the first input of a beat counts
+  judge (acc) {
+    if (this.judged) {
+      return GRADE_MISS
+    }
+
+    const offset = Math.abs(acc - CLICK_TIME)
+    const grade = offset <= RHYTHM_PERFECT_WINDOW
+      ? GRADE_PERFECT
+      : offset <= RHYTHM_GOOD_WINDOW ? GRADE_GOOD : GRADE_MISS
+
+    this.judged = true
+    this.combo = grade === GRADE_MISS ? 0 : this.combo + 1
+    this.score += RHYTHM_POINTS[grade] * this.multiplier
+    this.grade = grade
+    this.time = 0
+
+    return grade
+  }
+}
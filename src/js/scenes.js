@@ -0,0 +1,46 @@
+// Scenes are plain objects with optional enter/exit/update/render/input hooks.
+// Only the top of the stack is updated and receives input, the whole stack is rendered
+// bottom up so overlays like menus can be drawn on top of the game.
+const registry = {}
+const stack = []
+
+export const register = (name, scene) => {
+  registry[name] = scene
+}
+
+export const top = () => stack[stack.length - 1]
+
+export const push = (name, ...args) => {
+  const scene = registry[name]
+
+  stack.push(scene)
+  return scene.enter && scene.enter(...args)
+}
+
+export const pop = () => {
+  const scene = stack.pop()
+  return scene && scene.exit && scene.exit()
+}
+
+// Clears the stack and starts over with given scene
+export const replace = (name, ...args) => {
+  while (stack.length) {
+    pop()
+  }
+
+  return push(name, ...args)
+}
+
+export const update = delta => {
+  const scene = top()
+  return scene && scene.update && scene.update(delta)
+}
+
+export const render = () => {
+  stack.map(scene => scene.render && scene.render())
+}
+
+export const input = action => {
+  const scene = top()
+  return scene && scene.input && scene.input(action)
+}
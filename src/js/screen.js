@@ -0,0 +1,28 @@
+import { VIEW_WIDTH, VIEW_HEIGHT } from './constants.js'
+
+let scale = 1
+
+export const getScale = () => scale
+
+// Sizes the canvas to the largest integer multiple of the view that fits the window
+const fit = (canvas, context) => {
+  scale = Math.max(1, Math.min(innerWidth / VIEW_WIDTH, innerHeight / VIEW_HEIGHT) ^ 0)
+
+  canvas.width = scale * VIEW_WIDTH
+  canvas.height = scale * VIEW_HEIGHT
+
+  // Resizing the canvas resets the context state
+  context.imageSmoothingEnabled = false
+}
+
+export const initScreen = (canvas, context) => {
+  fit(canvas, context)
+
+  addEventListener('resize', () => fit(canvas, context))
+  addEventListener('orientationchange', () => fit(canvas, context))
+}
+
+// Everything is drawn in view pixels, the scale is applied before each frame
+export const applyScale = context => {
+  context.setTransform(scale, 0, 0, scale, 0, 0)
+}
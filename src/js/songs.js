@@ -0,0 +1,69 @@
+// Songs for the sequencer in music.js
+//
+// - instruments are zzfx parameter arrays, frequency and randomness are set by the sequencer
+// - patterns hold one array of notes per instrument, notes are semitones from A3 and empty slots are rests
+// - order lists the patterns to loop through
+// - length is the number of steps in a pattern, steps is the number of steps per beat
+
+const BASS = [.5, 0, 0, .01, .1, .15, 1]
+const LEAD = [.15, 0, 0, .02, .05, .2, 0]
+const HAT = [.05, 0, 0, 0, 0, .03, 4]
+
+export const CRYPT = {
+  instruments: [BASS, LEAD, HAT],
+  patterns: [
+    [
+      [-12, , , , -12, , -9, ],
+      [, , , , , , , ],
+      [48, , 48, , 48, , 48, ]
+    ],
+    [
+      [-12, , , , -14, , -16, ],
+      [0, , 3, , 7, , 3, ],
+      [48, , 48, , 48, , 48, 48]
+    ]
+  ],
+  order: [0, 0, 1, 1],
+  length: 8,
+  steps: 2
+}
+
+export const CATACOMBS = {
+  instruments: [BASS, LEAD, HAT],
+  patterns: [
+    [
+      [-7, , -7, , -5, , -7, ],
+      [5, , , 3, , , 0, ],
+      [48, , 48, , 48, , 48, ]
+    ],
+    [
+      [-9, , -9, , -10, , -12, ],
+      [3, , , 1, , , 0, ],
+      [48, 48, 48, , 48, 48, 48, ]
+    ]
+  ],
+  order: [0, 1],
+  length: 8,
+  steps: 2
+}
+
+export const ABYSS = {
+  instruments: [BASS, LEAD, HAT],
+  patterns: [
+    [
+      [-12, -12, , -12, -11, , -12, ],
+      [12, , 11, , 8, , 7, ],
+      [48, 48, 48, 48, 48, 48, 48, 48]
+    ]
+  ],
+  order: [0],
+  length: 8,
+  steps: 2
+}
+
+// Songs by the name levels give in their `music` property
+export const SONGS = {
+  crypt: CRYPT,
+  catacombs: CATACOMBS,
+  abyss: ABYSS
+}
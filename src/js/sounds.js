@@ -0,0 +1,35 @@
+import { on, getStoreItem, setStoreItem } from 'kontra'
+import { play as zzfx } from './zzfx.js'
+import {
+  EVENT_STEP, EVENT_BUMP, EVENT_KEY, EVENT_DOOR, EVENT_CHEST, EVENT_HIT, EVENT_DIE, EVENT_STAIRS
+} from './constants.js'
+
+export const SOUNDS = {
+  [EVENT_STEP]:   [.2, .1, 120, 0, 0, .03, 4],
+  [EVENT_BUMP]:   [.3, .05, 80, 0, .02, .06, 2, 1, -10],
+  [EVENT_KEY]:    [.4, 0, 880, 0, .05, .2, 0, 1, 0, 0, 440, .05],
+  [EVENT_DOOR]:   [.4, .05, 150, .01, .1, .2, 2, 1, 5],
+  [EVENT_CHEST]:  [.4, 0, 520, 0, .08, .25, 1, 1, 0, 0, 260, .08],
+  [EVENT_HIT]:    [.5, .1, 200, 0, .02, .1, 3, 1, -20, 0, 0, 0, 0, .3],
+  [EVENT_DIE]:    [.5, .05, 300, 0, .1, .4, 2, 1, -30],
+  [EVENT_STAIRS]: [.4, 0, 330, .02, .1, .3, 0, 1, 0, 0, 110, .1, .1]
+}
+
+// Step and bump sounds are played only for the player, enemies would drown them out
+const PLAYER_ONLY = [EVENT_STEP, EVENT_BUMP]
+
+export const isMuted = () => getStoreItem('muted') === true
+
+export const toggleMute = () => setStoreItem('muted', !isMuted())
+
+export const play = name => {
+  if (!isMuted()) {
+    zzfx(...SOUNDS[name])
+  }
+}
+
+Object.keys(SOUNDS).map(name => on(name, entity => {
+  if (!PLAYER_ONLY.includes(name) || entity === entity.level.player) {
+    play(name)
+  }
+}))
@@ -0,0 +1,125 @@
+import { getStoreItem, setStoreItem } from 'kontra'
+import { dispatch } from './input.js'
+import {
+  ACTION_LEFT, ACTION_DOWN, ACTION_RIGHT, ACTION_UP, ACTION_CONFIRM, ACTION_BACK, ACTION_INVENTORY,
+  SWIPE_DISTANCE
+} from './constants.js'
+
+// [action, label, column, row] of the on-screen pad buttons
+const BUTTONS = [
+  [ACTION_UP, '▲', 1, 0],
+  [ACTION_LEFT, '◀', 0, 1],
+  [ACTION_RIGHT, '▶', 2, 1],
+  [ACTION_DOWN, '▼', 1, 2],
+  [ACTION_CONFIRM, 'A', 4, 1],
+  [ACTION_BACK, '❚❚', 4, 0],
+  [ACTION_INVENTORY, '☰', 4, 2]
+]
+
+const isTouch = () => 'ontouchstart' in window
+
+export const dpadEnabled = () => {
+  const enabled = getStoreItem('dpad')
+  return enabled === null ? isTouch() : enabled
+}
+
+let pad = null
+
+// Puts the pad under the canvas when there is room for it, over its bottom otherwise
+const layout = canvas => {
+  const rect = canvas.getBoundingClientRect()
+  const size = Math.min(innerWidth / 5, 64)
+  const below = innerHeight - rect.bottom >= size * 3
+
+  pad.style.display = dpadEnabled() ? 'block' : 'none'
+  pad.style.left = `${rect.left}px`
+  pad.style.top = `${below ? rect.bottom : rect.bottom - size * 3}px`
+  pad.style.width = `${rect.width}px`
+  pad.style.opacity = below ? 1 : .5
+
+  for (const button of pad.children) {
+    button.style.width = button.style.height = `${size}px`
+    button.style.top = `${button.dataset.row * size}px`
+
+    if (button.dataset.column) {
+      button.style.left = `${button.dataset.column * size}px`
+    }
+  }
+}
+
+export const toggleDpad = () => {
+  setStoreItem('dpad', !dpadEnabled())
+  pad.style.display = dpadEnabled() ? 'block' : 'none'
+}
+
+const createPad = () => {
+  pad = document.createElement('div')
+  pad.className = 'pad'
+
+  for (const [action, label, column, row] of BUTTONS) {
+    const button = document.createElement('button')
+
+    button.textContent = label
+    button.dataset.column = column
+    button.dataset.row = row
+
+    // The confirm, pause and inventory buttons stick to the right edge
+    if (column > 2) {
+      button.dataset.column = ''
+      button.style.right = 0
+    }
+
+    button.addEventListener('touchstart', evt => {
+      evt.preventDefault()
+      dispatch(action)
+    })
+
+    button.addEventListener('mousedown', () => dispatch(action))
+    pad.appendChild(button)
+  }
+
+  document.body.appendChild(pad)
+}
+
+// Swipes anywhere outside the pad move, short taps interact
+const initSwipes = () => {
+  let start = null
+
+  addEventListener('touchstart', evt => {
+    if (!pad.contains(evt.target)) {
+      const [touch] = evt.changedTouches
+      start = { x: touch.clientX, y: touch.clientY }
+    }
+  })
+
+  addEventListener('touchend', evt => {
+    if (!start) {
+      return
+    }
+
+    const [touch] = evt.changedTouches
+    const dx = touch.clientX - start.x
+    const dy = touch.clientY - start.y
+
+    start = null
+
+    if (Math.max(Math.abs(dx), Math.abs(dy)) < SWIPE_DISTANCE) {
+      return dispatch(ACTION_CONFIRM)
+    }
+
+    if (Math.abs(dx) > Math.abs(dy)) {
+      dispatch(dx > 0 ? ACTION_RIGHT : ACTION_LEFT)
+    } else {
+      dispatch(dy > 0 ? ACTION_DOWN : ACTION_UP)
+    }
+  })
+}
+
+export const initTouch = canvas => {
+  createPad()
+  initSwipes()
+
+  layout(canvas)
+  addEventListener('resize', () => layout(canvas))
+  addEventListener('orientationchange', () => layout(canvas))
+}
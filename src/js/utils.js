@@ -1,5 +1,4 @@
-import { TRANSPARENT_PIXELS, SCALE, TILE_WALL_LEFT, TILE_WALL_RIGHT } from './constants.js'
-import { height, width, tileSize } from '../maps/1.json'
+import { TRANSPARENT_PIXELS, TILE_SIZE as tileSize, DIRECTION_NONE, DIRECTION_LEFT, DIRECTION_DOWN, DIRECTION_RIGHT, DIRECTION_UP } from './constants.js'
 
 export const bfs = (start, { enter, leave }) => {
   const queue = [start]
@@ -28,70 +27,131 @@ export const bfs = (start, { enter, leave }) => {
   }
 }
 
-export const TILE_WALL_ENTRY = 45
-export const TILE_GATE = 31
-export const TILE_DOOR_OPEN = 69
-export const TILE_DOOR_CLOSED = 55
+export const directionVector = direction => [
+  [0, 0],
+  [-1, 0],
+  [0, 1],
+  [1, 0],
+  [0, -1]
+][direction]
 
-export const getOverlay = (data, image) => {
-  const canvas = new OffscreenCanvas(tileSize * width, tileSize * height)
-  const context = canvas.getContext('2d')
+export const oppositeDirection = direction => direction && (direction + 1) % 4 + 1
+
+export const directionTo = (from, to) => {
+  if (to.x < from.x) return DIRECTION_LEFT
+  if (to.x > from.x) return DIRECTION_RIGHT
+  if (to.y > from.y) return DIRECTION_DOWN
+  if (to.y < from.y) return DIRECTION_UP
 
-  const tileset = new OffscreenCanvas(image.width, image.height)
-  const tctx = tileset.getContext('2d')
+  return DIRECTION_NONE
+}
 
-  tctx.drawImage(image, 0, 0, image.width, image.height)
-  const imageData = tctx.getImageData(0, 0, image.width, image.height)
-  const { data: d } = imageData
+// Tiled flip flags, stored by the map transformer as 4 * H + 2 * V + D
+export const FLIP_HORIZONTAL = 4
+export const FLIP_VERTICAL = 2
+export const FLIP_DIAGONAL = 1
 
-  for (let i = 0; i < d.length; i += 4) {
-    if (d[i] + d[i + 1] + d[i + 2] === 0) {
-      d[i + 3] = 0
-    }
+// Draws a tile from the image applying its flip flags. Tiled swaps the axes
+// first and then mirrors, so the diagonal flip is the last transform applied
+export const drawTile = (context, image, sx, sy, x, y, flags = 0) => {
+  const half = tileSize / 2
+
+  context.save()
+  context.translate(x + half, y + half)
+
+  if (flags & FLIP_VERTICAL) {
+    context.scale(1, -1)
+  }
+
+  if (flags & FLIP_HORIZONTAL) {
+    context.scale(-1, 1)
+  }
+
+  if (flags & FLIP_DIAGONAL) {
+    context.transform(0, 1, 1, 0, 0, 0)
   }
 
-  tctx.putImageData(imageData, 0, 0)
+  context.drawImage(image, sx, sy, tileSize, tileSize, -half, -half, tileSize, tileSize)
+  context.restore()
+}
+
+// Walls of a tile after flipping it, bits are up, right, down and left
+export const flipCollision = (bits = 0, flags = 0) => {
+  const up = bits >> 3 & 1
+  const right = bits >> 2 & 1
+  const down = bits >> 1 & 1
+  const left = bits & 1
+
+  let walls = [up, right, down, left]
+
+  if (flags & FLIP_DIAGONAL) {
+    walls = [left, down, right, up]
+  }
+
+  if (flags & FLIP_HORIZONTAL) {
+    walls = [walls[0], walls[3], walls[2], walls[1]]
+  }
+
+  if (flags & FLIP_VERTICAL) {
+    walls = [walls[2], walls[1], walls[0], walls[3]]
+  }
+
+  return walls.reduce((bits, wall) => bits << 1 | wall, 0)
+}
+
+// The tile layers drawn once in order with their flip flags, kontra's tile
+// engine cannot flip tiles so levels render this instead
+export const getMapLayer = (layers, image, width) => {
+  const canvas = new OffscreenCanvas(tileSize * width, tileSize * layers[0].data.length / width)
+  const context = canvas.getContext('2d')
+  const columns = image.width / tileSize
+
+  layers.map(({ data, flips }) => data.map((id, i) => {
+    if (!id) {
+      return
+    }
+
+    drawTile(
+      context, image,
+      tileSize * ((id - 1) % columns), tileSize * ((id - 1) / columns ^ 0),
+      tileSize * (i % width), tileSize * (i / width ^ 0),
+      flips[i]
+    )
+  }))
+
+  return canvas
+}
+
+// Overlay pieces sit in the first row of the overlay image, tiles name their
+// column with the `overlay` property
+export const getOverlay = (data, tiles, image, width, flips = {}) => {
+  const canvas = new OffscreenCanvas(tileSize * width, tileSize * data.length / width)
+  const context = canvas.getContext('2d')
+
+  // Only the black background of the overlay image is cleared
+  const tileset = getTransparentTileset(image, [[0, 0, 0]])
 
   data.map((id, i) => {
     const x = tileSize * (i % width)
     const y = tileSize * (i / width ^ 0)
 
-    
-    switch (id) {
-      case TILE_WALL_LEFT:
-        context.drawImage(tileset, 0, 0, tileSize, tileSize, x, y, tileSize, tileSize)
-        break
-      case TILE_WALL_RIGHT:
-        context.drawImage(tileset, tileSize, 0, tileSize, tileSize, x, y, tileSize, tileSize)
-        break
-      case TILE_WALL_ENTRY:
-        context.drawImage(tileset, 3 * tileSize, 0, tileSize, tileSize, x, y, tileSize, tileSize)
-        break
-      case TILE_GATE:
-        context.drawImage(tileset, 8 * tileSize, 0, tileSize, tileSize, x, y, tileSize, tileSize)
-        break
-      case TILE_DOOR_OPEN:
-        context.drawImage(tileset, 6 * tileSize, 0, tileSize, tileSize, x, y, tileSize, tileSize)
-        break
-      case TILE_DOOR_CLOSED:
-        context.drawImage(tileset, 5 * tileSize, 0, tileSize, tileSize, x, y, tileSize, tileSize)
-        break
+    const { overlay } = tiles[id] || {}
+
+    if (overlay !== undefined) {
+      drawTile(context, tileset, overlay * tileSize, 0, x, y, flips[i])
     }
   })
 
   return canvas
 }
 
-export const getTransparentSprite = (image, id, transparentColors = TRANSPARENT_PIXELS) => {
-  const canvas = new OffscreenCanvas(tileSize, tileSize)
+export const getTransparentTileset = (image, transparentColors = TRANSPARENT_PIXELS) => {
+  const canvas = new OffscreenCanvas(image.width, image.height)
   const context = canvas.getContext('2d')
 
-  const width = image.width / tileSize
-  const x = tileSize * ((id - 1) % width)
-  const y = tileSize * ((id - 1) / width ^ 0)
-  context.drawImage(image, x, y, tileSize, tileSize, 0, 0, tileSize, tileSize)
+  context.drawImage(image, 0, 0)
 
-  const imageData = context.getImageData(0, 0, tileSize, tileSize)
+  const imageData = context.getImageData(0, 0, image.width, image.height)
   const { data } = imageData
 
   for (let i = 0; i < data.length; i += 4) {
@@ -107,6 +167,37 @@ export const getTransparentSprite = (image, id, transparentColors = TRANSPARENT_
   return canvas
 }
 
+// Single tile of the tileset as its own image
+export const getTransparentSprite = (image, id, transparentColors) => {
+  const canvas = new OffscreenCanvas(tileSize, tileSize)
+  const width = image.width / tileSize
+  const x = tileSize * ((id - 1) % width)
+  const y = tileSize * ((id - 1) / width ^ 0)
+
+  canvas.getContext('2d').drawImage(
+    getTransparentTileset(image, transparentColors), x, y, tileSize, tileSize, 0, 0, tileSize, tileSize
+  )
+
+  return canvas
+}
+
+// Random numbers in [0, 1) that repeat for the same seed, seeds can be any string
+export const seededRandom = seed => {
+  let state = [...seed].reduce((hash, char) => Math.imul(hash, 31) + char.charCodeAt(0) | 0, 0)
+
+  // mulberry32
+  return () => {
+    state = state + 0x6d2b79f5 | 0
+
+    let t = Math.imul(state ^ state >>> 15, 1 | state)
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t
+
+    return ((t ^ t >>> 14) >>> 0) / 4294967296
+  }
+}
+
+export const linear = x => x
+
 export const easeInOutCirc = x => {
   const { pow, sqrt } = Math
   return x < 0.5
@@ -0,0 +1,116 @@
+import { Text, getStoreItem, setStoreItem } from 'kontra'
+import { pop } from '../scenes.js'
+import { ACTION_NAMES, getBindings, rebind, resetBindings, keyName } from '../input.js'
+import {
+  ACTION_UP, ACTION_DOWN, ACTION_CONFIRM, ACTION_BACK, INPUT_BUFFER_LENGTH, INPUT_BUFFER_MAX, VIEW_WIDTH, VIEW_HEIGHT
+} from '../constants.js'
+
+const ACTIONS = Object.keys(ACTION_NAMES).map(Number)
+
+// Rows below the actions
+const ROW_BUFFER = ACTIONS.length
+const ROW_RESET = ACTIONS.length + 1
+
+const getBuffer = () => getStoreItem('buffer') || INPUT_BUFFER_LENGTH
+
+export const controlsScene = () => {
+  const text = Text({
+    text: '',
+    font: '6px monospace',
+    color: '#fff'
+  })
+
+  // Grabs the next key press before kontra sees it
+  const capture = evt => {
+    const key = keyName(evt)
+
+    if (!key) {
+      return
+    }
+
+    evt.stopPropagation()
+    removeEventListener('keydown', capture, true)
+
+    rebind(ACTIONS[scene.selected], key)
+    scene.waiting = false
+  }
+
+  const scene = {
+    selected: 0,
+    waiting: false,
+
+    enter () {
+      this.selected = 0
+      this.waiting = false
+    },
+
+    exit () {
+      removeEventListener('keydown', capture, true)
+    },
+
+    input (action) {
+      if (this.waiting) {
+        return
+      }
+
+      const rows = ROW_RESET + 1
+
+      switch (action) {
+        case ACTION_UP:
+          this.selected = (this.selected + rows - 1) % rows
+          break
+
+        case ACTION_DOWN:
+          this.selected = (this.selected + 1) % rows
+          break
+
+        case ACTION_CONFIRM:
+          if (this.selected === ROW_BUFFER) {
+            return setStoreItem('buffer', getBuffer() % INPUT_BUFFER_MAX + 1)
+          }
+
+          if (this.selected === ROW_RESET) {
+            return resetBindings()
+          }
+
+          this.waiting = true
+          addEventListener('keydown', capture, true)
+          break
+
+        case ACTION_BACK:
+          return pop()
+      }
+    },
+
+    render () {
+      const { context } = text
+      const bindings = getBindings()
+
+      context.fillStyle = 'rgba(0, 0, 0, .9)'
+      context.fillRect(0, 0, VIEW_WIDTH, VIEW_HEIGHT)
+
+      text.x = 8
+      text.y = 8
+      text.text = this.waiting ? 'press a key...' : 'controls'
+      text.render()
+
+      ACTIONS.map((action, i) => {
+        const marker = i === this.selected ? '>' : ' '
+
+        text.y = 20 + i * 9
+        text.text = `${marker}${ACTION_NAMES[action]}`.padEnd(10) + bindings[action].join(' ')
+        text.render()
+      })
+
+      text.y = 20 + ROW_BUFFER * 9
+      text.text = `${this.selected === ROW_BUFFER ? '>' : ' '}buffer`.padEnd(10) + getBuffer()
+      text.render()
+
+      text.y = 20 + ROW_RESET * 9
+      text.text = `${this.selected === ROW_RESET ? '>' : ' '}reset`
+      text.render()
+    }
+  }
+
+  return scene
+}
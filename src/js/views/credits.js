@@ -1,11 +1,7 @@
-import { Text } from 'kontra'
+import { pop } from '../scenes.js'
+import { menu } from './menu.js'
 import { author } from '../../../package.json'
 
-export const creditsText = () => {
-  return Text({
-    text: `js13k submission by ${author}`,
-    color: '#fff',
-    y: innerHeight - 16,
-    x: 8
-  })
-}
+export const creditsMenu = () => menu('credits', [
+  ['back', pop]
+], ['js13k submission by', author.split(' <')[0]], pop)
@@ -1,153 +1,173 @@
-import { Scene, Sprite, TileEngine } from 'kontra'
-import { layers as level1, height, width, tileSize, tilesets } from '../../maps/1.json'
-import { layers as level2 } from '../../maps/2.json'
-import { layers as level3 } from '../../maps/3.json'
-import { layers as level4 } from '../../maps/4.json'
-import { layers as level5 } from '../../maps/5.json'
-import { getTransparentSprite, getOverlay } from '../utils.js'
-import { HEIGHT as H, WIDTH as W, TILE_SPAWN, TILE_GROUND, COLLISIONS } from '../constants.js'
-import Entity from '../entity.js'
-
-const TILESET = new Promise((resolve, reject) => {
-  const img = new Image
-  img.src = tilesets[0]
-
-  img.onload = () => {
-    resolve(img)
-  }
-
-  img.onerror = err => reject(err)
-})
-
-const OVERLAY = new Promise((resolve, reject) => {
-  const img = new Image
-  img.src = 'o.png'
+import { Scene, Sprite, getContext, setStoreItem, emit } from 'kontra'
+import MANIFEST from '../../maps/levels.json'
+import { getOverlay, getMapLayer, flipCollision, seededRandom } from '../utils.js'
+import { rollLoot } from '../items.js'
+import { look } from '../fov.js'
+import Camera from '../camera.js'
+import { getAnimations } from '../animations.js'
+import {
+  GAME_SPEED, BANNER_DURATION, SCENE_PAUSE, SCENE_GAME_OVER, SCENE_VICTORY, SCENE_INVENTORY,
+  ACTION_LEFT, ACTION_DOWN, ACTION_RIGHT, ACTION_UP, ACTION_BACK, ACTION_INVENTORY, ACTION_WAIT, ACTION_RESTART, GRADE_MISS,
+  EVENT_DOOR, EVENT_CHEST, EVENT_TRIGGER, MUSIC_SYNC_WINDOW
+} from '../constants.js'
+import Player from '../player.js'
+import { healthBar, rhythmMeter, signBox } from './hud.js'
+import Rhythm, { CLICK_TIME } from '../rhythm.js'
+import { start as startMusic, stop as stopMusic, getTime as getMusicTime } from '../music.js'
+import { SONGS } from '../songs.js'
+import { push } from '../scenes.js'
+import { Skeleton, Zombie, Cultist, Ghost, Slime } from '../enemies.js'
+
+// Images are requested once and shared by every level using them
+const images = new Map()
+
+const loadImage = src => {
+  if (!images.has(src)) {
+    images.set(src, new Promise((resolve, reject) => {
+      const img = new Image
+      img.src = src
+
+      img.onload = () => {
+        resolve(img)
+      }
 
-  img.onload = () => {
-    resolve(img)
+      img.onerror = err => reject(err)
+    }))
   }
 
-  img.onerror = err => reject(err)
-})
+  return images.get(src)
+}
 
-const MAPS = [
-  level1,
-  level2,
-  level3,
-  level4,
-  level5
-]
+// The levels in the order they are played with their maps, and the tile
+// properties of each tileset by its image, written by the map transformer
+const { levels: LEVELS, tilesets: TILESETS } = MANIFEST
 
-const indexToXY = i => ({ x: i % width, y: i / width ^ 0 })
-const indexToRenderedXY = i => ({
-  x: tileSize * (i % width), 
-  y: tileSize * (i / width ^ 0) 
-})
+export { LEVELS }
 
-export default async function loadLevel (n = 0) {
-  const [image, overlay] = await Promise.all([TILESET, OVERLAY])
-  const [map] = MAPS[n]
+// Manifest entry of the level, unknown ids like saves from older versions start over
+const getLevel = id => LEVELS.find(level => level.id === id) || LEVELS[0]
 
-  const meta = {
-    spawn: -1,
-    key: -1,
-    door: -1,
-    secret: -1,
-    stairs: -1,
-    dog: -1,
-    fire: -1,
-    chests: [],
-    skeletons: [],
-    zombies: [],
-    cultists: [],
-    ghosts: [],
-    slimes: [],
-  }
-
-  map.data = map.data.map((id, i) => {
-    if (id === TILE_SPAWN) {
-      meta.spawn = i
+// The tileset of the first level, used for the hud and item icons
+export const TILESET = loadImage(LEVELS[0].tileset)
 
-      return TILE_GROUND
-    }
-
-    if (id === 11) {
-      meta.skeletons.push(i)
-      return TILE_GROUND
-    }
+const OVERLAY = loadImage('o.png')
 
-    if (id === 12) {
-      meta.zombies.push(i)
-      return TILE_GROUND
-    }
-
-    if (id === 10) {
-      meta.cultists.push(i)
-      return TILE_GROUND
-    }
+// Enemy classes by the object type used in the maps, their default tile is the
+// one with the same role in the tileset
+const ENEMIES = {
+  skeleton: Skeleton,
+  zombie: Zombie,
+  cultist: Cultist,
+  ghost: Ghost,
+  slime: Slime
+}
 
-    if (id === 24) {
-      meta.ghosts.push(i)
-      return TILE_GROUND
-    }
+// Tile roles marking a single place of the level in `meta`
+const META_ROLES = ['key', 'door', 'stairs', 'goal']
+
+// Loads a fresh copy of the level, the player enters at the spawn with given object
+// id or at the start spawn. The same arguments always give the same level
+export default async function loadLevel (id, player, checkpoint) {
+  const entry = getLevel(id)
+  const [image, overlay] = await Promise.all([loadImage(entry.tileset), OVERLAY])
+  // Levels change their map, so every load gets its own copy
+  const { layers, objects: placed, width, height, tileSize } = structuredClone(entry)
+  // The manifest leaves out the defaults of the objects
+  const objects = placed.map(object => ({ width: 1, height: 1, properties: {}, ...object }))
+  const tiles = TILESETS[entry.tileset]
+  const [map] = layers
+
+  // Properties of the tile at the node, or of the first tile with the role
+  const tile = i => tiles[map.data[i]] || {}
+  const tileFor = role => +Object.keys(tiles).find(id => tiles[id].role === role)
+
+  const indexToRenderedXY = i => ({
+    x: tileSize * (i % width), 
+    y: tileSize * (i / width ^ 0) 
+  })
 
-    if (id === 23) {
-      meta.slimes.push(i)
-      return TILE_GROUND
-    }
+  const indexOf = ({ x, y }) => y * width + x
 
-    if (id === 20) {
-      meta.dog = i
-      return TILE_GROUND
-    }
+  // Whether the map object spans over the node
+  const covers = ({ x, y, width: w, height: h }, i) => {
+    const col = i % width
+    const row = i / width ^ 0
 
-    if (id === 20) {
-      meta.fire = i
-    }
+    return col >= x && col < x + w && row >= y && row < y + h
+  }
 
+  // The player enters at the checkpoint, the spawn named `start` or the first one there is
+  const spawns = objects.filter(({ type }) => type === 'spawn')
+  const start = spawns.find(spawn => spawn.id === checkpoint) ||
+    spawns.find(({ name }) => name === 'start') ||
+    spawns[0]
 
-    if (id === 81) {
-      meta.key = i
-    }
+  const meta = {
+    spawn: indexOf(start),
+    key: -1,
+    door: -1,
+    stairs: -1,
+    goal: -1,
+    chests: [],
+    lights: []
+  }
 
-    if (id === 55) {
-      meta.door = i
-    }
+  map.data.forEach((id, i) => {
+    const { role, light } = tile(i)
 
-    if (id === 48) {
-      meta.stairs = i
+    if (META_ROLES.includes(role)) {
+      meta[role] = i
     }
 
-    if (id === 52) {
+    if (role === 'chest') {
       meta.chests.push(i)
     }
 
-    return id
+    if (light) {
+      meta.lights.push(i)
+    }
   })
 
   class GraphNode {
     constructor (id, i) {
       this.id = id
+      this.index = i
       this.neighbours = new Set()
       this.x = i % width
       this.y = i / width ^ 0
     }
 
+    // Collision bits of the tile, mirrored along with it
+    get walls () {
+      return flipCollision((tiles[this.id] || {}).collision, map.flips[this.index])
+    }
+
     add (node) {
       this.neighbours.add(node)
       node.neighbours.add(this)
     }
+
+    clear () {
+      for (const node of this.neighbours) {
+        node.neighbours.delete(this)
+      }
+
+      this.neighbours.clear()
+    }
   }
 
   const graph = map.data.map((id, i) => new GraphNode(id, i))
 
-  graph.map((node, i) => {
+  // Connects the node with the nodes above and to the left of it
+  const link = i => {
+    const node = graph[i]
+
     // Up/Down
     if (i - width >= 0) {
       const node2 = graph[i - width]
 
-      const c1 = COLLISIONS[node.id]
-      const c2 = COLLISIONS[node2.id]
+      const c1 = node.walls
+      const c2 = node2.walls
 
       if (!(c1 & 0b1000) && !(c2 & 0b0010)) {
         node.add(node2)
@@ -158,45 +178,408 @@ export default async function loadLevel (n = 0) {
     if (i % width !== 0) {
       const node2 = graph[i - 1]
 
-      const c1 = COLLISIONS[node.id]
-      const c2 = COLLISIONS[node2.id]
+      const c1 = node.walls
+      const c2 = node2.walls
 
       if (!(c1 & 0b0001) && !(c2 & 0b0100)) {
         node.add(node2)
       }
     }
-  })
+  }
+
+  graph.map((node, i) => link(i))
+
+
+  const level = {
+    id: entry.id,
+    name: entry.name,
+    music: entry.music,
+    depth: LEVELS.indexOf(entry),
+
+    // Loot and wandering enemies roll the same way every time the level is loaded
+    random: seededRandom(entry.id),
 
-  const engine = TileEngine({
-    tilewidth: tileSize,
-    tileheight: tileSize,
+    // Object id of the last spawn the player entered at or walked over
+    checkpoint: start.id,
+    map: map.data,
     width,
     height,
-    tilesets: [{ firstgid: 1, image }],
-    layers: [map]
-  })
+    tileSize,
+    graph,
+    meta,
+    tiles,
+    image,
+    enemies: [],
+    corpses: [],
+    complete: false,
+
+    // Tiles in view of the player and every tile they have ever seen on this level
+    visible: new Set(),
+    seen: new Set(),
+
+    objects,
+
+    // Sign texts by the node they stand on
+    signs: new Map(objects
+      .filter(({ type }) => type === 'sign')
+      .map(sign => [indexOf(sign), sign.properties.text || ''])),
+
+    // Areas emitting an event when the player walks in
+    triggers: objects
+      .filter(({ type }) => type === 'trigger')
+      .map(trigger => ({ ...trigger, fired: false })),
+
+    // Fires the triggers covering the node, once unless they have the `repeat` property
+    trigger (i) {
+      for (const trigger of this.triggers) {
+        if (covers(trigger, i) && (!trigger.fired || trigger.properties.repeat)) {
+          trigger.fired = true
+          emit(EVENT_TRIGGER, trigger, this)
+        }
+      }
+    },
+
+    tile,
+    tileFor,
+
+    spawnAt (i) {
+      return spawns.find(spawn => indexOf(spawn) === i)
+    },
+
+    get entities () {
+      return [this.player, ...this.enemies]
+    },
+
+    // Tiles replaced since the level was loaded by their index, like the taken key,
+    // opened doors and looted chests, checkpoints keep them
+    changes: {},
+
+    // Replaces the tile and rebuilds everything that depends on it, the new tile is never flipped
+    setTile (i, id) {
+      map.data[i] = id
+      delete map.flips[i]
+      this.changes[i] = id
+
+      graph[i].id = id
+      graph[i].clear()
+      link(i)
+
+      if (i + width < graph.length) {
+        link(i + width)
+      }
+
+      if ((i + 1) % width) {
+        link(i + 1)
+      }
+
+      this.topLayer.image = getOverlay(map.data, tiles, overlay, width, map.flips)
+      this.mapLayer.image = getMapLayer(layers, image, width)
+    },
+
+    // Opens the locked door, returns false when there is none left
+    unlock () {
+      if (tile(meta.door).role !== 'door') {
+        return false
+      }
+
+      this.setTile(meta.door, tileFor('door-open'))
+      emit(EVENT_DOOR, meta.door)
+
+      return true
+    },
+
+    // Opens the chest and returns the rolled loot, or undefined if already opened
+    loot (i) {
+      if (tile(i).role !== 'chest') {
+        return
+      }
+
+      this.setTile(i, tileFor('chest-open'))
+      emit(EVENT_CHEST, i)
+
+      return rollLoot(this.depth, this.random)
+    }
+  }
+
+  const spawn = (Type, id, i) => new Type(Sprite({
+    ...indexToRenderedXY(i),
+    animations: getAnimations(image, id, (tiles[id] || {}).animation)
+  }), level)
+
+  if (player) {
+    player.place(level, meta.spawn)
+  } else {
+    player = spawn(Player, start.tile || tileFor('spawn'), meta.spawn)
+  }
 
-  const player = new Entity(Sprite({
-    ...indexToRenderedXY(meta.spawn),
-    image: getTransparentSprite(image, TILE_SPAWN)
-  }), { map: map.data, graph })
+  level.player = player
+
+  // Unknown object types are left for other systems to pick up from `level.objects`
+  level.enemies = objects
+    .filter(({ type }) => ENEMIES[type])
+    .map(object => {
+      const enemy = spawn(ENEMIES[object.type], object.tile || tileFor(object.type), indexOf(object))
+
+      enemy.configure(object.properties)
+      return enemy
+    })
 
   // engine.addObject(player)
 
-  // Initial render to make engine.context available below
-  engine.render()
+  const mapLayer = Sprite({
+    x: 0,
+    y: 0,
+    image: getMapLayer(layers, image, width)
+  })
 
   const topLayer = Sprite({
     x: 0,
     y: 0,
-    image: getOverlay(map.data, overlay)
+    image: getOverlay(map.data, tiles, overlay, width, map.flips)
   })
 
-  return { 
-    engine, 
-    player,
-    graph,
-    topLayer
-  }
+  const camera = new Camera(width * tileSize, height * tileSize)
+  camera.snap(player.object)
+
+  Object.assign(level, {
+    mapLayer,
+    topLayer,
+    camera
+  })
+
+  look(level)
+
+  return level
 }
 
+// Hides the tiles the player has never seen and dims the remembered ones out of view
+const renderFog = ({ graph, visible, seen, width, tileSize: size }) => {
+  const context = getContext()
+
+  graph.map((node, i) => {
+    if (visible.has(i)) {
+      return
+    }
+
+    context.fillStyle = seen.has(i) ? 'rgba(0, 0, 0, .6)' : '#000'
+    context.fillRect(i % width * size, (i / width ^ 0) * size, size, size)
+  })
+}
+
+export const gameScene = image => {
+  const health = healthBar(image)
+  const meter = rhythmMeter()
+  const sign = signBox()
+  const rhythm = new Rhythm()
+  let acc = 0
+
+  // Seconds played on the level, the music follows this clock with its beats on the clicks
+  let time = 0
+  let song = null
+
+  // Seconds left showing the name of the level just entered
+  let banner = 0
+
+  return {
+    level: null,
+
+    // Snapshots of the level id, spawn and player state to go back to. `start` is
+    // taken when entering a level and `checkpoint` when reaching a spawn
+    start: null,
+    checkpoint: null,
+
+    play (level) {
+      this.level = level
+
+      acc = time = 0
+      banner = BANNER_DURATION
+      rhythm.tick()
+
+      song = SONGS[level.music] || SONGS.crypt
+      startMusic(song, -CLICK_TIME)
+    },
+
+    snapshot () {
+      const { id, checkpoint, player, changes } = this.level
+
+      return { id, spawn: checkpoint, player: player.save(), changes: { ...changes } }
+    },
+
+    save () {
+      setStoreItem('save', { start: this.start, checkpoint: this.checkpoint })
+    },
+
+    // Levels are loaded by their manifest id, unknown ids load the first level
+    async load (id, player) {
+      this.play(await loadLevel(id, player))
+
+      this.start = this.checkpoint = this.snapshot()
+      this.save()
+    },
+
+    // Loads the level of the snapshot again and puts the player and the changed tiles
+    // back the way they were, so chests cannot be looted twice
+    async restore ({ id, spawn, player, changes = {} }) {
+      this.level = null
+
+      const level = await loadLevel(id, undefined, spawn)
+      level.player.restore(player)
+
+      for (const i in changes) {
+        level.setTile(+i, changes[i])
+      }
+
+      // The key tile only changes when the key is taken
+      if (level.meta.key in changes) {
+        level.meta.key = -1
+      }
+
+      this.play(level)
+      this.checkpoint = this.snapshot()
+      this.save()
+    },
+
+    // Starts a new game, or goes back to the last checkpoint of a saved one
+    enter (save) {
+      this.level = null
+      rhythm.reset()
+
+      if (save) {
+        this.start = save.start
+        return this.restore(save.checkpoint)
+      }
+
+      return this.load(LEVELS[0].id)
+    },
+
+    exit () {
+      stopMusic()
+    },
+
+    input (action) {
+      const { level } = this
+
+      if (!level) {
+        return
+      }
+
+      switch (action) {
+        case ACTION_LEFT:
+        case ACTION_DOWN:
+        case ACTION_RIGHT:
+        case ACTION_UP:
+          // Off-beat inputs lose the turn in rhythm mode
+          if (!rhythm.enabled || rhythm.judge(acc) !== GRADE_MISS) {
+            level.player.queueMove(action)
+          }
+          break
+
+        // Waiting cancels queued moves and still has to be on beat to keep the combo
+        case ACTION_WAIT:
+          level.player.cancelMoves()
+          rhythm.enabled && rhythm.judge(acc)
+          break
+
+        case ACTION_INVENTORY:
+          stopMusic()
+          return push(SCENE_INVENTORY, level.player)
+
+        case ACTION_RESTART:
+          return this.restore(this.start)
+
+        case ACTION_BACK:
+          stopMusic()
+          return push(SCENE_PAUSE)
+      }
+    },
+
+    update (delta) {
+      const { level } = this
+
+      if (!level) {
+        return
+      }
+
+      acc += delta
+      time += delta
+      banner -= delta
+
+      // Picks the music up where the level is when they are apart, after the menus stopped
+      // it or the game loop skipped the time a background tab was hidden
+      if (Math.abs(getMusicTime() + CLICK_TIME - time) > MUSIC_SYNC_WINDOW) {
+        startMusic(song, time - CLICK_TIME)
+      }
+      rhythm.update(delta, acc)
+
+      const tick = acc >= 1 / GAME_SPEED
+
+      level.player.update(delta, tick)
+      level.enemies.map(enemy => enemy.update(delta, tick))
+      level.corpses.map(corpse => corpse.update(delta, false))
+      level.corpses = level.corpses.filter(corpse => corpse.action)
+
+      // Keeping the remainder holds the ticks on the beat of the music
+      if (tick) {
+        acc -= 1 / GAME_SPEED
+        rhythm.tick()
+        look(level)
+      }
+
+      level.camera.follow(level.player.object, delta)
+
+      if (level.checkpoint !== this.checkpoint.spawn && !level.player.dead) {
+        this.checkpoint = this.snapshot()
+        this.save()
+      }
+
+      if (level.player.dead) {
+        stopMusic()
+        return push(SCENE_GAME_OVER)
+      }
+
+      // Take the stairs down once the player reaches them, the last level has a goal instead
+      if (level.complete) {
+        level.complete = false
+
+        if (level.depth + 1 < LEVELS.length) {
+          return this.load(LEVELS[level.depth + 1].id, level.player)
+        }
+
+        setStoreItem('save')
+        stopMusic()
+        push(SCENE_VICTORY)
+      }
+    },
+
+    render () {
+      const { level } = this
+
+      if (!level) {
+        return
+      }
+
+      const context = getContext()
+
+      context.save()
+      level.camera.apply(context)
+      level.mapLayer.render()
+      level.player.render()
+      level.corpses
+        .concat(level.enemies)
+        .filter(enemy => level.visible.has(enemy.index))
+        .map(enemy => enemy.render())
+      level.topLayer.render()
+      renderFog(level)
+      context.restore()
+
+      health.render(level.player)
+      meter.render(rhythm)
+
+      if (level.signs.has(level.player.index)) {
+        sign.render(level.signs.get(level.player.index))
+      } else if (banner > 0) {
+        sign.render(level.name)
+      }
+    }
+  }
+}
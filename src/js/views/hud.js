@@ -0,0 +1,77 @@
+import { Sprite, Text } from 'kontra'
+import { getTransparentSprite } from '../utils.js'
+import { TILE_HEART_FULL, TILE_HEART_EMPTY, VIEW_WIDTH, VIEW_HEIGHT } from '../constants.js'
+
+export const healthBar = image => {
+  const full = getTransparentSprite(image, TILE_HEART_FULL)
+  const empty = getTransparentSprite(image, TILE_HEART_EMPTY)
+  const heart = Sprite({ image: full })
+
+  return {
+    render (entity) {
+      for (let i = 0; i < entity.maxHp; i++) {
+        heart.image = i < entity.hp ? full : empty
+        heart.x = i * heart.width
+        heart.render()
+      }
+    }
+  }
+}
+
+// Text of the sign the player stands on, at the bottom of the screen
+export const signBox = () => {
+  const text = Text({
+    text: '',
+    font: '5px monospace',
+    color: '#fff',
+    width: VIEW_WIDTH - 8,
+    lineHeight: 1.2,
+    x: 4,
+    y: VIEW_HEIGHT - 24
+  })
+
+  return {
+    render (message) {
+      const { context } = text
+
+      text.text = message
+
+      context.fillStyle = 'rgba(0, 0, 0, .8)'
+      context.fillRect(0, VIEW_HEIGHT - 28, VIEW_WIDTH, 28)
+      text.render()
+    }
+  }
+}
+
+const GRADES = ['miss', 'good', 'perfect']
+
+export const rhythmMeter = () => {
+  const text = Text({
+    text: '',
+    font: '6px monospace',
+    color: '#fff',
+    textAlign: 'right',
+    anchor: { x: 1, y: 0 },
+    x: VIEW_WIDTH - 2,
+    y: 1
+  })
+
+  return {
+    render (rhythm) {
+      if (!rhythm.enabled) {
+        return
+      }
+
+      text.text = `${rhythm.score} x${rhythm.multiplier}`
+      text.y = 1
+      text.render()
+
+      // Show the last grade for half a second
+      if (rhythm.grade !== -1 && rhythm.time < .5) {
+        text.text = rhythm.combo > 1 ? `${GRADES[rhythm.grade]} ${rhythm.combo}` : GRADES[rhythm.grade]
+        text.y = 8
+        text.render()
+      }
+    }
+  }
+}
@@ -0,0 +1,92 @@
+import { Sprite, Text } from 'kontra'
+import { getTransparentSprite } from '../utils.js'
+import { pop } from '../scenes.js'
+import {
+  ACTION_UP, ACTION_DOWN, ACTION_CONFIRM, ACTION_BACK, ACTION_INVENTORY, VIEW_WIDTH, VIEW_HEIGHT
+} from '../constants.js'
+
+export const inventoryScene = image => {
+  const icons = new Map()
+  const icon = Sprite({ width: 8, height: 8 })
+  const label = Text({
+    text: '',
+    font: '6px monospace',
+    color: '#fff'
+  })
+
+  const getIcon = tile => {
+    if (!icons.has(tile)) {
+      icons.set(tile, getTransparentSprite(image, tile))
+    }
+
+    return icons.get(tile)
+  }
+
+  return {
+    player: null,
+    selected: 0,
+
+    enter (player) {
+      this.player = player
+      this.selected = 0
+    },
+
+    select (offset) {
+      const { length } = this.player.inventory.entries
+      this.selected = length ? (this.selected + offset + length) % length : 0
+    },
+
+    use () {
+      const entry = this.player.inventory.entries[this.selected]
+
+      if (entry) {
+        this.player.inventory.use(entry[0], this.player)
+        this.select(0)
+      }
+    },
+
+    input (action) {
+      switch (action) {
+        case ACTION_UP:        return this.select(-1)
+        case ACTION_DOWN:      return this.select(1)
+        case ACTION_CONFIRM:   return this.use()
+        case ACTION_BACK:
+        case ACTION_INVENTORY: return pop()
+      }
+    },
+
+    render () {
+      const { player } = this
+      const { context } = label
+      const entries = player.inventory.entries
+
+      context.fillStyle = 'rgba(0, 0, 0, .8)'
+      // Panel inset by 16 pixels from the view edges
+      context.fillRect(16, 16, VIEW_WIDTH - 32, VIEW_HEIGHT - 32)
+
+      label.x = 20
+      label.y = 20
+      label.text = entries.length ? 'inventory' : 'inventory is empty'
+      label.render()
+
+      entries.map(([item, count], i) => {
+        const y = 30 + i * 10
+
+        icon.image = getIcon(item.tile)
+        icon.x = 24
+        icon.y = y
+        icon.render()
+
+        label.x = 34
+        label.y = y + 1
+        label.text = `${i === this.selected ? '>' : ' '}${item.name} x${count}`
+        label.render()
+      })
+
+      label.x = 20
+      label.y = VIEW_HEIGHT - 28
+      label.text = `attack ${player.attack}`
+      label.render()
+    }
+  }
+}
@@ -0,0 +1,109 @@
+import { Text, getStoreItem } from 'kontra'
+import { push, pop, replace } from '../scenes.js'
+import { rhythmEnabled, toggleRhythm } from '../rhythm.js'
+import { isMuted, toggleMute } from '../sounds.js'
+import { dispatch } from '../input.js'
+import { dpadEnabled, toggleDpad } from '../touch.js'
+import {
+  ACTION_UP, ACTION_DOWN, ACTION_CONFIRM, ACTION_BACK, ACTION_RESTART,
+  SCENE_GAME, SCENE_CREDITS, SCENE_TITLE, SCENE_CONTROLS, VIEW_WIDTH, VIEW_HEIGHT
+} from '../constants.js'
+
+// Options are [label, action] pairs where label can be a function for changing labels,
+// lines are shown between the title and options
+export const menu = (title, options, lines = [], back) => {
+  const text = Text({
+    text: '',
+    font: '6px monospace',
+    color: '#fff',
+    textAlign: 'center',
+    anchor: { x: .5, y: 0 },
+    x: VIEW_WIDTH / 2
+  })
+
+  return {
+    selected: 0,
+
+    enter () {
+      this.selected = 0
+    },
+
+    select (offset) {
+      this.selected = (this.selected + offset + options.length) % options.length
+    },
+
+    input (action) {
+      switch (action) {
+        case ACTION_UP:      return this.select(-1)
+        case ACTION_DOWN:    return this.select(1)
+        case ACTION_CONFIRM: return options[this.selected][1]()
+        case ACTION_BACK:    return back && back()
+      }
+    },
+
+    render () {
+      const { context } = text
+
+      context.fillStyle = 'rgba(0, 0, 0, .8)'
+      context.fillRect(0, 0, VIEW_WIDTH, VIEW_HEIGHT)
+
+      text.font = '10px monospace'
+      text.text = title
+      text.y = 24
+      text.render()
+
+      text.font = '6px monospace'
+
+      lines.map((line, i) => {
+        text.text = line
+        text.y = 40 + i * 8
+        text.render()
+      })
+
+      options.map(([label], i) => {
+        label = typeof label === 'function' ? label() : label
+        text.text = i === this.selected ? `> ${label} <` : label
+        text.y = 44 + lines.length * 8 + i * 9
+        text.render()
+      })
+    }
+  }
+}
+
+// The game scene saves the last checkpoint reached
+const continueGame = () => replace(SCENE_GAME, getStoreItem('save'))
+const quit = () => replace(SCENE_TITLE)
+
+// Closes the menu and lets the game scene restart the level
+const restartLevel = () => {
+  pop()
+  dispatch(ACTION_RESTART)
+}
+
+export const titleMenu = () => menu('arrows not found', [
+  ['new game', () => replace(SCENE_GAME)],
+  ['continue', continueGame],
+  [() => `rhythm mode ${rhythmEnabled() ? 'on' : 'off'}`, toggleRhythm],
+  [() => `sound ${isMuted() ? 'off' : 'on'}`, toggleMute],
+  [() => `touch pad ${dpadEnabled() ? 'on' : 'off'}`, toggleDpad],
+  ['controls', () => push(SCENE_CONTROLS)],
+  ['credits', () => push(SCENE_CREDITS)]
+])
+
+export const pauseMenu = () => menu('paused', [
+  ['resume', pop],
+  ['restart level', restartLevel],
+  ['controls', () => push(SCENE_CONTROLS)],
+  ['quit', quit]
+], [], pop)
+
+export const gameOverMenu = () => menu('game over', [
+  ['try again', continueGame],
+  ['restart level', restartLevel],
+  ['quit', quit]
+])
+
+export const victoryMenu = () => menu('victory', [
+  ['play again', () => replace(SCENE_GAME)],
+  ['quit', quit]
+])
@@ -47,25 +47,30 @@ ZzFX Features
 
 'use strict';
 
+// The sound object and random sound builders are left out, the game only plays
+// parameter arrays
 class _ZZFX
 {
 
 constructor()
 {
-    this.x = new (window.AudioContext || webkitAudioContext); // shared audio context
+    this.context = null;                // shared audio context, created on first use
     this.volume = .3;                   // master volume scale
     this.sampleRate = 44100;            // sample rate for audio
     this.samples = 0;                   // last played samples
 }
 
-Play(sound)
+get x()
 {
-    // check if sound object was passed in
-    const params = sound && typeof sound == 'object' ? 
-        this.SoundToArray(sound) : arguments;
+    // lazily create the shared audio context
+    return this.context || 
+        (this.context = new (window.AudioContext || webkitAudioContext));
+}
 
+Play()
+{
     // build samples and start sound
-    const samples = this.BuildSamples(...params);
+    const samples = this.BuildSamples(...arguments);
     return this.PlaySamples(samples);
 }
 
@@ -184,110 +189,12 @@ BuildSamples
     return b;
 }
 
-BuildRandomSound(lengthScale=1, volume=1, randomness=.05)
-{
-    // generate a random sound
-    const R=()=>Math.random(), C=()=>R()<.5?R():0, S=()=>C()?1:-1,
-
-    // randomize sound length
-    attack  = R()**3/4*lengthScale,
-    decay   = R()**3/4*lengthScale,
-    sustain = R()**3/4*lengthScale,
-    release = R()**3/4*lengthScale,
-    length  = attack + decay + sustain + release;
-
-    // create random sound
-    return this.BuildSound
-    (
-       volume,           // volume
-       randomness,       // randomness
-       R()**2*2e3,       // frequency
-       attack,           // attack
-       sustain,          // sustain
-       release,          // release
-       R()*5|0,          // shape
-       R()**2*3,         // shapeCurve
-       C()**3*99*S(),    // slide
-       C()**3*99*S(),    // deltaSlide
-       C()**2*1e3*S(),   // pitchJump
-       R()**2 * length,  // pitchJumpTime
-       C() * length,     // repeatTime
-       C()**4,           // noise
-       C()**3*9*S(),     // modulation
-       C()**4,           // bitCrush
-       C()**3/2,         // delay
-       1 - C(),          // sustain volume
-       decay             // decay
-    );
-}
-
-BuildSound
-(
-    volume = 1, 
-    randomness = .05,
-    frequency = 220,
-    attack = 0,
-    sustain = 0,
-    release = .1,
-    shape = 0,
-    shapeCurve = 1,
-    slide = 0, 
-    deltaSlide = 0, 
-    pitchJump = 0, 
-    pitchJumpTime = 0, 
-    repeatTime = 0, 
-    noise = 0,
-    modulation = 0,
-    bitCrush = 0,
-    delay = 0,
-    sustainVolume = 1,
-    decay = 0
-)
-{
-    // build sound object
-    const sound = 
-    {
-        'volume':       volume,
-        'randomness':   randomness,
-        'frequency':    frequency,
-        'attack':       attack,
-        'sustain':      sustain,
-        'release':      release,
-        'shape':        shape,
-        'shapeCurve':   shapeCurve,
-        'slide':        slide,
-        'deltaSlide':   deltaSlide,
-        'pitchJump':    pitchJump,
-        'pitchJumpTime':pitchJumpTime,
-        'repeatTime':   repeatTime,
-        'noise':        noise,
-        'modulation':   modulation,
-        'bitCrush':     bitCrush,
-        'delay':        delay,
-        'sustainVolume':sustainVolume,
-        'decay':        decay
-    };
-
-    return sound;
-}
-
 GetNote(semitoneOffset=0, rootNoteFrequency=440)
 {
     // get frequency of a musical note on a diatonic scale
     return rootNoteFrequency * 2**(semitoneOffset/12);
 }
 
-SoundToArray(sound)
-{
-    // convert sound parameters object to array
-    // use default sound for keys and order
-    const defaultSound = this.BuildSound();
-    const array = [];
-    for(const key in defaultSound)
-        array.push(sound[key]);
-    return array;
-}
-
 } // class _ZZFX
 
 const ZZFX = new _ZZFX;
@@ -300,7 +207,7 @@ function zzfx() { return ZZFX.Play(...arguments) }
 // ==ClosureCompiler==
 // @compilation_level ADVANCED_OPTIMIZATIONS
 // @output_file_name zzfx.micro.js
-// @js_externs zzfxMicro, zzfxV, zzfxX
+// @js_externs zzfxMicro, zzfxV
 // @language_out ECMASCRIPT_2019
 // ==/ClosureCompiler==
 
@@ -326,11 +233,11 @@ const zzfxMicro =     // play a sound
         * PI2 / sampleRate,
     modPhase = sign(modulation) * PI2/4,
     t=0, tm=0, i=0, r=0, c=0, s=0, j=1, b = [], f,
-    source = zzfxX.createBufferSource(), 
-    buffer = zzfxX.createBuffer(1, length, sampleRate)
+    source = ZZFX.x.createBufferSource(), 
+    buffer = ZZFX.x.createBuffer(1, length, sampleRate)
 
     // loop and generate waveform
-    for(source.connect(zzfxX.destination); i < length; b[i++] = s)
+    for(source.connect(ZZFX.x.destination); i < length; b[i++] = s)
     {
         if (++c>bitCrush*100)                            // bit crush
         {
@@ -391,4 +298,73 @@ const zzfxMicro =     // play a sound
     source.start();
     return source;
 }
-export default const zzfxX = new (window.AudioContext||webkitAudioContext);
+
+///////////////////////////////////////////////////////////////////////////////
+
+// Module API
+
+export { ZZFX, zzfx, zzfxMicro }
+
+export const SAMPLE_RATE = ZZFX.sampleRate
+
+export const getAudioContext = () => ZZFX.x
+
+export const play = (...params) => ZZFX.Play(...params)
+
+export const playSamples = samples => ZZFX.PlaySamples(samples)
+
+export const buildSamples = (...params) => ZZFX.BuildSamples(...params)
+
+export const getNote = (semitoneOffset, rootNoteFrequency) => ZZFX.GetNote(semitoneOffset, rootNoteFrequency)
+
+// Encodes samples as a 16 bit mono PCM wav file
+export const toWav = (samples, sampleRate = SAMPLE_RATE) => {
+  const view = new DataView(new ArrayBuffer(44 + samples.length * 2))
+  const write = (offset, text) => [...text].map((c, i) => view.setUint8(offset + i, c.charCodeAt(0)))
+
+  write(0, 'RIFF')
+  view.setUint32(4, 36 + samples.length * 2, true)
+  write(8, 'WAVEfmt ')
+  view.setUint32(16, 16, true)
+  view.setUint16(20, 1, true)
+  view.setUint16(22, 1, true)
+  view.setUint32(24, sampleRate, true)
+  view.setUint32(28, sampleRate * 2, true)
+  view.setUint16(32, 2, true)
+  view.setUint16(34, 16, true)
+  write(36, 'data')
+  view.setUint32(40, samples.length * 2, true)
+
+  samples.map((sample, i) => {
+    view.setInt16(44 + i * 2, Math.max(-1, Math.min(1, sample)) * 0x7fff, true)
+  })
+
+  return new Blob([view], { type: 'audio/wav' })
+}
+
+// Downloads the samples as a wav file
+export const saveWav = (samples, name = 'zzfx.wav') => {
+  const a = document.createElement('a')
+
+  a.href = URL.createObjectURL(toWav(samples))
+  a.download = name
+  a.click()
+
+  // The download starts after the click returns, so the url is revoked later
+  setTimeout(() => URL.revokeObjectURL(a.href))
+}
+
+// Browsers keep audio contexts suspended until the user interacts with the page
+const INPUT_EVENTS = ['keydown', 'pointerdown', 'touchstart']
+
+const resume = () => {
+  const context = getAudioContext()
+
+  if (context.state === 'suspended') {
+    context.resume()
+  }
+
+  INPUT_EVENTS.map(event => removeEventListener(event, resume))
+}
+
+INPUT_EVENTS.map(event => addEventListener(event, resume))
@@ -1,4 +1,157 @@
 <?xml version="1.0" encoding="UTF-8"?>
 <tileset version="1.4" tiledversion="1.4.2" name="t" tilewidth="8" tileheight="8" tilecount="140" columns="14">
  <image source="t.png" width="112" height="80"/>
+ <tile id="1">
+  <properties>
+   <property name="collision" value="up down"/>
+  </properties>
+ </tile>
+ <tile id="3">
+  <properties>
+   <property name="collision" value="up right down"/>
+  </properties>
+ </tile>
+ <tile id="4">
+  <properties>
+   <property name="role" value="spawn"/>
+  </properties>
+ </tile>
+ <tile id="8">
+  <properties>
+   <property name="role" value="goal"/>
+  </properties>
+ </tile>
+ <tile id="9">
+  <properties>
+   <property name="role" value="cultist"/>
+  </properties>
+ </tile>
+ <tile id="10">
+  <properties>
+   <property name="role" value="skeleton"/>
+  </properties>
+ </tile>
+ <tile id="11">
+  <properties>
+   <property name="role" value="zombie"/>
+  </properties>
+ </tile>
+ <tile id="14">
+  <properties>
+   <property name="collision" value="left"/>
+   <property name="overlay" type="int" value="0"/>
+  </properties>
+ </tile>
+ <tile id="15">
+  <properties>
+   <property name="role" value="ground"/>
+  </properties>
+ </tile>
+ <tile id="17">
+  <properties>
+   <property name="collision" value="right"/>
+   <property name="overlay" type="int" value="1"/>
+  </properties>
+ </tile>
+ <tile id="22">
+  <properties>
+   <property name="role" value="slime"/>
+  </properties>
+ </tile>
+ <tile id="23">
+  <properties>
+   <property name="role" value="ghost"/>
+  </properties>
+ </tile>
+ <tile id="27">
+  <properties>
+   <property name="collision" value="up right down left"/>
+  </properties>
+ </tile>
+ <tile id="29">
+  <properties>
+   <property name="collision" value="up down"/>
+  </properties>
+ </tile>
+ <tile id="30">
+  <properties>
+   <property name="collision" value="right left"/>
+   <property name="overlay" type="int" value="8"/>
+  </properties>
+ </tile>
+ <tile id="31">
+  <properties>
+   <property name="collision" value="up right down"/>
+  </properties>
+ </tile>
+ <tile id="42">
+  <properties>
+   <property name="collision" value="right"/>
+  </properties>
+ </tile>
+ <tile id="44">
+  <properties>
+   <property name="collision" value="right"/>
+   <property name="overlay" type="int" value="3"/>
+  </properties>
+ </tile>
+ <tile id="45">
+  <properties>
+   <property name="collision" value="left"/>
+  </properties>
+ </tile>
+ <tile id="47">
+  <properties>
+   <property name="role" value="stairs"/>
+  </properties>
+ </tile>
+ <tile id="51">
+  <properties>
+   <property name="role" value="chest"/>
+  </properties>
+ </tile>
+ <tile id="54">
+  <properties>
+   <property name="collision" value="right"/>
+   <property name="overlay" type="int" value="5"/>
+   <property name="role" value="door"/>
+  </properties>
+ </tile>
+ <tile id="56">
+  <properties>
+   <property name="collision" value="up down left"/>
+  </properties>
+ </tile>
+ <tile id="57">
+  <properties>
+   <property name="collision" value="up right down"/>
+  </properties>
+ </tile>
+ <tile id="58">
+  <properties>
+   <property name="collision" value="up"/>
+  </properties>
+ </tile>
+ <tile id="68">
+  <properties>
+   <property name="overlay" type="int" value="6"/>
+   <property name="role" value="door-open"/>
+  </properties>
+ </tile>
+ <tile id="80">
+  <properties>
+   <property name="role" value="key"/>
+  </properties>
+ </tile>
+ <tile id="108">
+  <properties>
+   <property name="role" value="chest-open"/>
+  </properties>
+ </tile>
+ <tile id="120">
+  <properties>
+   <property name="light" type="int" value="3"/>
+   <property name="role" value="fire"/>
+  </properties>
+ </tile>
 </tileset>
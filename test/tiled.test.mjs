@@ -0,0 +1,26 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { readLevel } from '../transformer/tiled.mjs'
+
+const path = new URL('./fixtures/properties.tmx', import.meta.url).pathname
+
+test('object properties keep their type', async () => {
+  const { objects } = await readLevel(path)
+
+  assert.deepEqual(objects[0].properties, { count: 0, delay: 0, repeat: false, text: '' })
+  assert.deepEqual(objects[1].properties, { count: 3, repeat: true })
+})
+
+test('objects without properties get an empty object', async () => {
+  const { objects } = await readLevel(path)
+
+  assert.deepEqual(objects[2].properties, {})
+})
+
+test('tile objects are placed by their bottom left corner', async () => {
+  const { objects: [, , spawn] } = await readLevel(path)
+
+  assert.equal(spawn.name, 'start')
+  assert.deepEqual([spawn.x, spawn.y, spawn.width, spawn.height], [0, 1, 1, 1])
+})
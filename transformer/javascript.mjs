@@ -6,6 +6,7 @@ import commonjs from '@rollup/plugin-commonjs'
 import json from '@rollup/plugin-json'
 import { promises as fs } from 'fs'
 import { minify } from 'terser'
+import { Packer } from 'roadroller'
 import preprocess from 'preprocess'
 import debounce from 'p-debounce'
 
@@ -31,35 +32,29 @@ export default debounce(async (PRODUCTION) => {
 
   if (PRODUCTION) {
     // Preprocess the file to remove the DEBUG flags from kontra
-    const preprocessed = preprocess.preprocess(js, {
-      // kontra defaults
-      GAMEOBJECT_GROUP: true,
-      GAMEOBJECT_ROTATION: true,
-      GAMEOBJECT_VELOCITY: true,
-      GAMEOBJECT_ACCELERATION: true,
-      GAMEOBJECT_TTL: true,
+    const context = {
+      // kontra features the game uses, the others are stripped
       GAMEOBJECT_ANCHOR: true,
-      GAMEOBJECT_CAMERA: true,
       GAMEOBJECT_SCALE: true,
-      GAMEOBJECT_OPACITY: true,
       SPRITE_IMAGE: true,
       SPRITE_ANIMATION: true,
       TEXT_AUTONEWLINE: true,
       TEXT_NEWLINE: true,
-      TEXT_RTL: true,
       TEXT_ALIGN: true,
-      VECTOR_SUBTRACT: true,
-      VECTOR_SCALE: true,
-      VECTOR_NORMALIZE: true,
-      VECTOR_DOT: true,
-      VECTOR_LENGTH: true,
-      VECTOR_DISTANCE: true,
-      VECTOR_ANGLE: true,
-      VECTOR_CLAMP: true,
 
       // env
       NODE_ENV: PRODUCTION ? 'production' : 'development'
-    }, 'js')
+    }
+
+    // preprocess reads `A||B` conditions as a single key, so they are defined
+    // here when any of their features is
+    for (const [, keys] of js.matchAll(/@ifdef (\w+(?:\|\|\w+)+)/g)) {
+      if (keys.split('||').some(key => key in context)) {
+        context[keys] = true
+      }
+    }
+
+    const preprocessed = preprocess.preprocess(js, context, 'js')
 
     // Replace const with let to save a couple of bytes
     const replaced = preprocessed.replace(/const /g, 'let ')
@@ -73,7 +68,13 @@ export default debounce(async (PRODUCTION) => {
       }
     })
 
-    await fs.writeFile('public/main.js', code)
+    // Pack the minified build, roadroller models the code better than the zip does
+    const packer = new Packer([{ data: code, type: 'js', action: 'eval' }], {})
+    await packer.optimize()
+
+    const { firstLine, secondLine } = packer.makeDecoder()
+
+    await fs.writeFile('public/main.js', firstLine + secondLine)
     return pug(PRODUCTION)
   }
 
@@ -2,19 +2,102 @@ import javascript from './javascript.mjs'
 
 import tiledmap from 'tmx-tiledmap'
 import { promises as fs } from 'fs'
+import { basename, dirname, join } from 'path'
 
-export default async (PRODUCTION, path) => {
-  const buffer = await fs.readFile(path)
+// Collision edges are listed by name in the tileset, the game stores them as bits
+const EDGES = { up: 0b1000, right: 0b0100, down: 0b0010, left: 0b0001 }
+
+const attributes = tag => [...tag.matchAll(/(\w+)="([^"]*)"/g)]
+  .reduce((a, [, name, value]) => ({ ...a, [name]: value }), {})
+
+const value = ({ type, value }) => type === 'int' || type === 'float'
+  ? +value
+  : type === 'bool' ? value === 'true' : value
+
+const readProperties = xml => [...xml.matchAll(/<property (.*?)\/>/g)]
+  .map(([, tag]) => attributes(tag))
+  .reduce((properties, property) => ({ ...properties, [property.name]: value(property) }), {})
+
+// Custom properties of the map objects by object id. The map parser drops the
+// falsy ones, so they are read from the xml like the tile properties
+const readObjectProperties = xml => [...xml.matchAll(/<object (.*?)(?:\/>|>([\s\S]*?)<\/object>)/g)]
+  .reduce((objects, [, tag, body = '']) => ({ ...objects, [attributes(tag).id]: readProperties(body) }), {})
+
+// Reads the tile properties and animations of a .tsx tileset, by tile id
+const readTileset = xml => [...xml.matchAll(/<tile (.*?)>([\s\S]*?)<\/tile>/g)]
+  .reduce((tiles, [, tag, body]) => {
+    const { id } = attributes(tag)
+    const tile = readProperties(body)
+    const frames = [...body.matchAll(/<frame (.*?)\/>/g)]
+      .map(([, tag]) => +attributes(tag).tileid)
+
+    if (tile.collision !== undefined) {
+      tile.collision = tile.collision.split(/\s+/).reduce((bits, edge) => bits | EDGES[edge], 0)
+    }
+
+    if (frames.length) {
+      tile.animation = frames
+    }
 
-  const data = await tiledmap.tmx(buffer.toString('utf-8'))
+    return { ...tiles, [id]: tile }
+  }, {})
+
+// The map parser only reads embedded tilesets and the maps embed theirs without
+// the tile properties, so these come from the .tsx next to the map using the same image
+const readTiles = async (path, tilesets) => {
+  const dir = dirname(path)
+  const files = (await fs.readdir(dir)).filter(file => file.endsWith('.tsx'))
+  const tiles = {}
+
+  for (const file of files) {
+    const xml = (await fs.readFile(join(dir, file))).toString('utf-8')
+    const [, image] = xml.match(/<image .*?source="([^"]*)"/) || []
+    const tileset = tilesets.find(({ image: { source } }) => source === image)
+
+    if (!tileset) {
+      continue
+    }
+
+    const { firstgid } = tileset
+    const properties = readTileset(xml)
+
+    // Tile ids in the tileset start at 0, the maps use global ids
+    for (const id in properties) {
+      const tile = properties[id]
+
+      if (tile.animation) {
+        tile.animation = tile.animation.map(frame => frame + firstgid)
+      }
+
+      tiles[+id + firstgid] = tile
+    }
+  }
+
+  return tiles
+}
+
+// Exports the map as a level, with the name and music given in the map properties
+export const readLevel = async path => {
+  const xml = (await fs.readFile(path)).toString('utf-8')
+  const [head] = xml.split('<tileset')
+  const [, properties = ''] = head.match(/<properties>([\s\S]*?)<\/properties>/) || []
+  const { name = '', music = '' } = readProperties(properties)
+  const objectProperties = readObjectProperties(xml)
+
+  const data = await tiledmap.tmx(xml)
   const { tilesets, layers, width, height, tilewidth } = data
 
-  const json = { 
-    tilesets: tilesets
-      .map(({ image, tiles, tilewidth }) => image.source), 
+  return {
+    id: basename(path, '.tmx'),
+    name,
+    music,
+    // The game draws every layer with the image of the first tileset
+    tileset: tilesets[0].image.source,
+    // Tile layers in drawing order, the first one holds the collisions
     layers: layers
-      .filter(({ type }) => type === 'layer')
-      .map(({ flips, data }) => ({ 
+      .filter(({ type, visible }) => type === 'layer' && visible)
+      .map(({ name, flips, data }) => ({ 
+        name,
         data,
         flips: flips
           .map(({ H, V, D }) => 4 * H + 2 * V + D)
@@ -23,11 +106,67 @@ export default async (PRODUCTION, path) => {
             return a
           }, {})
       })),
+    // Objects of every object layer, positioned in tiles. Tile objects are
+    // anchored at their bottom left corner in Tiled
+    objects: layers
+      .filter(({ type }) => type === 'objectgroup')
+      .flatMap(({ objects }) => objects)
+      .map(({ id, name = '', type = '', gid, x, y, width = 0, height = 0 }) => ({
+        id,
+        name,
+        type,
+        tile: gid,
+        x: x / tilewidth ^ 0,
+        y: (gid ? y - height : y) / tilewidth ^ 0,
+        width: Math.max(1, Math.ceil(width / tilewidth)),
+        height: Math.max(1, Math.ceil(height / tilewidth)),
+        properties: objectProperties[id] || {}
+      })),
+    // Collision bits, roles and other properties of the tiles, by tile id
+    tiles: await readTiles(path, tilesets),
     width, 
     height, 
     tileSize: tilewidth
   }
-  
-  await fs.writeFile(path.replace(/\.tmx$/, '.json'), JSON.stringify(json, false))
+}
+
+// Objects leave out an empty name and properties, the size of a single tile and
+// the tile having their type as role, the game fills those back in
+const compactObject = ({ name, tile, width, height, properties, ...object }, tiles) => ({
+  ...object,
+  ...(tiles[tile] || {}).role !== object.type && { tile },
+  ...name && { name },
+  ...(width > 1 || height > 1) && { width, height },
+  ...Object.keys(properties).length && { properties }
+})
+
+// Writes the levels of the maps in the directory, ordered by file name, into a
+// single manifest bundled with the game. The tile properties are the same for
+// every map using a tileset, so they are stored once by the tileset image
+const writeManifest = async dir => {
+  const files = (await fs.readdir(dir))
+    .filter(file => file.endsWith('.tmx'))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+  const levels = []
+  const tilesets = {}
+
+  for (const file of files) {
+    const { tiles, ...level } = await readLevel(join(dir, file))
+
+    tilesets[level.tileset] = tiles
+    levels.push({
+      ...level,
+      // Layer names are only for editing the maps
+      layers: level.layers.map(({ name, ...layer }) => layer),
+      objects: level.objects.map(object => compactObject(object, tiles))
+    })
+  }
+
+  await fs.writeFile(join(dir, 'levels.json'), JSON.stringify({ levels, tilesets }, false))
+}
+
+// Any map or tileset of the directory changes the manifest, so all maps are exported again
+export default async (PRODUCTION, path) => {
+  await writeManifest(dirname(path))
   return javascript(PRODUCTION)
 }